@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * Manage published branch namespaces
+ *
+ * Usage:
+ *   node scripts/branches.mjs list [--backend <name>]
+ *   node scripts/branches.mjs prune [--backend <name>] [--write]
+ *   node scripts/branches.mjs copy <from> <to> [--backend <name>]
+ *
+ * list   Published branches with file counts, sizes and last-updated time
+ * prune  Delete namespaces for branches that no longer exist in git (local or
+ *        remote). Dry run unless --write is given. `main` is never pruned.
+ * copy   Make <to> an exact copy of <from> (e.g. preview → main) using
+ *        server-side copies, then revalidate <to>. Alias: promote
+ *
+ * The backend defaults to CONTENT_BACKEND, then blob (see content-sync.mjs).
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { execFileSync } from "child_process";
+import { pathToFileURL } from "url";
+import { BRANCH_INFO_FILE, createBackend } from "./storage-backends.mjs";
+import { MANIFEST_FILE } from "./content-manifest.mjs";
+import { RELEASES_DIR, RELEASE_POINTER_FILE } from "./releases.mjs";
+import { formatBytes, triggerRevalidation } from "./content-sync.mjs";
+import { SEARCH_INDEX_FILE } from "./search-index.js";
+import { mapWithConcurrency, withRetry } from "./upload-queue.mjs";
+
+// Never pruned, even if missing from the local clone
+const PROTECTED_BRANCHES = new Set(["main"]);
+
+// Bookkeeping files that live next to a branch's content
+const METADATA_FILES = new Set([MANIFEST_FILE, BRANCH_INFO_FILE, RELEASE_POINTER_FILE, SEARCH_INDEX_FILE]);
+
+const COPY_CONCURRENCY = 8;
+
+/**
+ * Branch names in git, local and remote (without the remote prefix)
+ */
+export function gitBranches() {
+  const output = execFileSync(
+    "git",
+    ["for-each-ref", "--format=%(refname)", "refs/heads", "refs/remotes"],
+    { encoding: "utf-8" }
+  );
+  return new Set(
+    output
+      .split("\n")
+      .filter(Boolean)
+      .map((ref) => ref.replace(/^refs\/heads\//, "").replace(/^refs\/remotes\/[^/]+\//, ""))
+      .filter((name) => name !== "HEAD")
+  );
+}
+
+/**
+ * Group everything stored in a backend by branch
+ * @param {object} backend - From createBackend()
+ * @param {Set<string>} [knownBranches] - Helps split `content/<branch>/<path>` when branch names contain "/"
+ * @returns {Promise<Map<string, {files: string[], bytes: number, updatedAt: Date|null, release?: string}>>}
+ */
+export async function listBranches(backend, knownBranches = new Set()) {
+  const entries = await backend.entries();
+  const sep = backend.separator;
+
+  // Branches that have been synced carry metadata files, which pin their exact names
+  const known = new Set(knownBranches);
+  entries.forEach(({ path }) => {
+    if (path.includes(`${sep}${RELEASES_DIR}/`)) {
+      return; // release manifests sit deeper than the branch root
+    }
+    for (const file of METADATA_FILES) {
+      if (path.endsWith(`${sep}${file}`)) {
+        known.add(path.slice(0, -(file.length + 1)));
+      }
+    }
+  });
+  const longestFirst = [...known].sort((a, b) => b.length - a.length);
+
+  const branches = new Map();
+  for (const { path, size, updatedAt } of entries) {
+    const branch =
+      longestFirst.find((name) => path.startsWith(`${name}${sep}`)) || path.split(sep)[0];
+    const file = path.slice(branch.length + 1);
+
+    if (!branches.has(branch)) {
+      branches.set(branch, { files: [], bytes: 0, updatedAt: null });
+    }
+    const info = branches.get(branch);
+    info.files.push(file);
+    info.bytes += size;
+    if (updatedAt && (!info.updatedAt || updatedAt > info.updatedAt)) {
+      info.updatedAt = updatedAt;
+    }
+  }
+
+  // Backends without modification times rely on the branch info file
+  for (const [branch, info] of branches) {
+    if (info.files.includes(RELEASE_POINTER_FILE)) {
+      info.release = JSON.parse(await backend.get(branch, RELEASE_POINTER_FILE)).release;
+    }
+    if (info.files.includes(BRANCH_INFO_FILE)) {
+      const recorded = new Date(JSON.parse(await backend.get(branch, BRANCH_INFO_FILE)).updatedAt);
+      if (!info.updatedAt || recorded > info.updatedAt) {
+        info.updatedAt = recorded;
+      }
+    }
+  }
+
+  return branches;
+}
+
+/**
+ * Files readers see: the current release's when the branch has one, otherwise those stored in place
+ */
+function contentFiles(info) {
+  if (info.release) {
+    const prefix = `${RELEASES_DIR}/${info.release}/`;
+    return info.files.filter(
+      (file) => file.startsWith(prefix) && file !== `${prefix}${MANIFEST_FILE}` && file !== `${prefix}${SEARCH_INDEX_FILE}`
+    );
+  }
+  return info.files.filter((file) => !METADATA_FILES.has(file) && !file.startsWith(`${RELEASES_DIR}/`));
+}
+
+/**
+ * Delete every stored file of a branch
+ */
+export async function deleteBranch(backend, branch, files) {
+  for (let i = 0; i < files.length; i += 500) {
+    const chunk = files.slice(i, i + 500);
+    await withRetry(() => backend.remove(branch, chunk));
+  }
+}
+
+/**
+ * Make one branch's namespace an exact copy of another's, server-side
+ *
+ * The copy is not atomic. Content is copied first and the release pointer is
+ * written (or the target's removed) last, so when either branch publishes
+ * releases, readers of the target switch over in that one write, after every
+ * file is in place. Branches stored in place are overwritten file by file,
+ * so a failure partway leaves the target with a mix of old and new files
+ * until the copy is re-run.
+ * @returns {Promise<{copied: number, removed: number}>}
+ */
+export async function copyBranch(backend, from, to, branches) {
+  const source = branches.get(from);
+  if (!source) {
+    throw new Error(`Nothing is published for branch "${from}"`);
+  }
+
+  const sourceFiles = source.files.filter((file) => file !== BRANCH_INFO_FILE);
+  const content = sourceFiles.filter((file) => file !== RELEASE_POINTER_FILE);
+  let done = 0;
+  await mapWithConcurrency(content, COPY_CONCURRENCY, async (file) => {
+    await withRetry(() => backend.copy(from, to, file));
+    done++;
+    if (done % 100 === 0 || done === content.length) {
+      console.log(`   Copied ${done}/${content.length}`);
+    }
+  });
+
+  // The switch readers see
+  const targetFiles = branches.get(to)?.files || [];
+  if (content.length < sourceFiles.length) {
+    await withRetry(() => backend.copy(from, to, RELEASE_POINTER_FILE));
+  } else if (targetFiles.includes(RELEASE_POINTER_FILE)) {
+    await withRetry(() => backend.remove(to, [RELEASE_POINTER_FILE]));
+  }
+
+  // Files the target has that the source doesn't would otherwise linger
+  const keep = new Set([...sourceFiles, BRANCH_INFO_FILE, RELEASE_POINTER_FILE]);
+  const extra = targetFiles.filter((file) => !keep.has(file));
+  await deleteBranch(backend, to, extra);
+
+  const info = backend.branchInfo(`copy from ${from}`);
+  await withRetry(() => backend.put(to, info.file, info.content));
+
+  return { copied: sourceFiles.length, removed: extra.length };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const backendIndex = args.indexOf("--backend");
+  const positional = args.filter(
+    (arg, index) => !arg.startsWith("--") && (backendIndex < 0 || index !== backendIndex + 1)
+  );
+  const [command = "list", ...rest] = positional;
+  const backendName = (backendIndex >= 0 ? args[backendIndex + 1] : null) || process.env.CONTENT_BACKEND || "blob";
+
+  const backend = await createBackend(backendName);
+  const inGit = gitBranches();
+  const branches = await listBranches(backend, inGit);
+
+  if (command === "list") {
+    console.log(`🌿 Published branches in ${backend.label}\n`);
+    if (branches.size === 0) {
+      console.log("   (none)\n");
+      return;
+    }
+
+    const rows = [...branches]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([branch, info]) => [
+        branch,
+        String(contentFiles(info).length),
+        formatBytes(info.bytes),
+        info.updatedAt ? info.updatedAt.toISOString().replace("T", " ").slice(0, 19) : "unknown",
+        inGit.has(branch) ? "" : "not in git",
+      ]);
+    const header = ["Branch", "Files", "Size", "Last updated", ""];
+    const widths = header.map((_, i) => Math.max(...[header, ...rows].map((row) => row[i].length)));
+    [header, ...rows].forEach((row) => {
+      console.log(`   ${row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd()}`);
+    });
+    console.log("");
+    return;
+  }
+
+  if (command === "prune") {
+    const write = args.includes("--write");
+    const stale = [...branches.keys()].filter((branch) => !inGit.has(branch) && !PROTECTED_BRANCHES.has(branch));
+
+    console.log(`🧹 Pruning branches missing from git in ${backend.label}...\n`);
+    if (stale.length === 0) {
+      console.log("✅ Nothing to prune\n");
+      return;
+    }
+
+    for (const branch of stale) {
+      const info = branches.get(branch);
+      console.log(`   - ${branch} (${contentFiles(info).length} files, ${formatBytes(info.bytes)})`);
+      if (write) {
+        await deleteBranch(backend, branch, info.files);
+      }
+    }
+
+    console.log("");
+    console.log(write
+      ? `✅ Pruned ${stale.length} branch(es)\n`
+      : "ℹ️  Dry run. Re-run with --write to delete these namespaces\n");
+    return;
+  }
+
+  if (command === "copy" || command === "promote") {
+    const [from, to] = rest;
+    if (!from || !to || from === to) {
+      throw new Error("copy needs two different branches: copy <from> <to>");
+    }
+
+    console.log(`📋 Copying ${backend.location(from)} → ${backend.location(to)}...\n`);
+    const { copied, removed } = await copyBranch(backend, from, to, branches);
+    console.log("");
+    console.log(`✅ Copied ${copied} files, removed ${removed} stale files from ${to}`);
+
+    await triggerRevalidation(to);
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}" (expected list, prune or copy)`);
+}
+
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
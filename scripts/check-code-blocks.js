@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+
+/**
+ * Extract and verify the code blocks embedded in MDX pages
+ *
+ * Usage: node scripts/check-code-blocks.js [file.mdx...] [--run] [--json]
+ *
+ * Every fenced block of the pages in docs.yml (or the given files) is
+ * extracted with the file and line it starts on, then:
+ *   - JavaScript and TypeScript blocks are syntax-checked
+ *   - blocks without a language or with one the site can't highlight are flagged
+ *   - hard-coded API keys, tokens and Alchemy URLs with a real-looking key are errors
+ *
+ * With --run, blocks opted in with `title="runnable"` are executed against
+ * the JSON-RPC endpoint of mock-site.js, with ALCHEMY_API_KEY and
+ * ALCHEMY_RPC_URL pointing at it:
+ *
+ *   ```javascript title="runnable"
+ *   const res = await fetch(process.env.ALCHEMY_RPC_URL, { ... });
+ *   ```
+ *
+ * A runnable block fails if it throws, exits non-zero or runs longer than
+ * 10s. --json prints the extracted blocks instead of checking them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const yaml = require('js-yaml');
+const ts = require('typescript');
+const { walkNavigation } = require('./generate-method-pages');
+const { createMockSite } = require('./mock-site');
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+
+const RUN_TIMEOUT_MS = 10000;
+const MOCK_API_KEY = 'mock-key';
+
+// Languages the site highlights, and the syntax checked for each alias
+const LANGUAGES = {
+  javascript: 'js', js: 'js', mjs: 'js', cjs: 'js', jsx: 'jsx',
+  typescript: 'ts', ts: 'ts', tsx: 'tsx',
+  bash: null, sh: null, shell: null, zsh: null, console: null, powershell: null,
+  json: null, jsonc: null, yaml: null, yml: null, toml: null,
+  python: null, py: null, go: null, rust: null, java: null, kotlin: null, swift: null,
+  csharp: null, php: null, ruby: null, solidity: null, sol: null,
+  graphql: null, http: null, html: null, css: null, sql: null, diff: null,
+  markdown: null, md: null, mdx: null, text: null, txt: null, plaintext: null,
+};
+
+const SCRIPT_KINDS = {
+  js: ts.ScriptKind.JS,
+  jsx: ts.ScriptKind.JSX,
+  ts: ts.ScriptKind.TS,
+  tsx: ts.ScriptKind.TSX,
+};
+
+// Values that are obviously stand-ins rather than credentials
+const PLACEHOLDER_PATTERN = /your|xxx|\.\.\.|demo|example|placeholder|sample|dummy|test|changeme|redacted|<[^>]*>|\$\{|^\$|^\*+$/i;
+
+const SECRET_PATTERNS = [
+  // apiKey: '...', API_KEY="...", "authToken": "..."
+  /\b(?:api[_-]?key|apikey|auth[_-]?token|access[_-]?token|secret|password)["']?\s*[:=]\s*["'`]([^"'`\s]+)["'`]/gi,
+  // https://eth-mainnet.g.alchemy.com/v2/<key>
+  /alchemy(?:api)?\.(?:com|io)\/v\d\/([^\s"'`/?#]+)/gi,
+  /\bBearer\s+([A-Za-z0-9._~+/-]+=*)/g,
+];
+
+/**
+ * Fenced code blocks of an MDX source
+ * @param {string} source
+ * @param {string} file - Used for provenance
+ * @returns {{blocks: Array<{file: string, line: number, lang: string, meta: object, code: string}>, unclosed: number|null}}
+ */
+function extractCodeBlocks(source, file) {
+  const blocks = [];
+  let open = null;
+
+  source.split('\n').forEach((text, index) => {
+    const marker = text.match(/^(\s*)(`{3,}|~{3,})(.*)$/);
+    if (!open) {
+      if (marker) {
+        const [, indent, fence, info] = marker;
+        const [lang = ''] = info.trim().split(/\s+/);
+        const meta = {};
+        for (const [, key, value] of info.matchAll(/(\w+)=["']([^"']*)["']/g)) {
+          meta[key] = value;
+        }
+        open = { file, line: index + 1, lang: lang.replace(/\{.*$/, '').toLowerCase(), meta, fence, indent, lines: [] };
+      }
+      return;
+    }
+    if (marker && marker[2][0] === open.fence[0] && marker[2].length >= open.fence.length && !marker[3].trim()) {
+      const { fence, indent, lines, ...block } = open;
+      blocks.push({ ...block, code: lines.join('\n') });
+      open = null;
+      return;
+    }
+    open.lines.push(text.startsWith(open.indent) ? text.slice(open.indent.length) : text.trimStart());
+  });
+
+  return { blocks, unclosed: open ? open.line : null };
+}
+
+/**
+ * Parse errors in a JS/TS block
+ * @returns {Array<{line: number, column: number, message: string}>} Positions relative to the block
+ */
+function syntaxErrors(code, syntax) {
+  const sourceFile = ts.createSourceFile(
+    `snippet.${syntax}`,
+    code,
+    ts.ScriptTarget.Latest,
+    true,
+    SCRIPT_KINDS[syntax]
+  );
+  return sourceFile.parseDiagnostics.map((diagnostic) => {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(diagnostic.start);
+    return {
+      line,
+      column: character + 1,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, ' '),
+    };
+  });
+}
+
+/**
+ * Credentials written into a block
+ * @returns {Array<{line: number, value: string}>} Lines relative to the block
+ */
+function findSecrets(code) {
+  const found = [];
+  code.split('\n').forEach((text, line) => {
+    for (const pattern of SECRET_PATTERNS) {
+      for (const [, value] of text.matchAll(pattern)) {
+        if (value.length >= 12 && !PLACEHOLDER_PATTERN.test(value)) {
+          found.push({ line, value });
+        }
+      }
+    }
+  });
+  return found;
+}
+
+/**
+ * Hide all but the ends of a secret in reports
+ */
+function mask(value) {
+  return `${value.slice(0, 4)}…${value.slice(-2)}`;
+}
+
+/**
+ * Check every block of a page
+ * @returns {{blocks: object[], errors: string[], warnings: string[]}} Messages prefixed with the block's line
+ */
+function checkPage(file) {
+  const source = fs.readFileSync(path.join(CONTENT_DIR, file), 'utf-8');
+  const { blocks, unclosed } = extractCodeBlocks(source, file);
+  const errors = [];
+  const warnings = [];
+
+  if (unclosed) {
+    errors.push(`${unclosed}: code fence is never closed`);
+  }
+
+  for (const block of blocks) {
+    if (!block.lang) {
+      warnings.push(`${block.line}: code block has no language`);
+    } else if (!(block.lang in LANGUAGES)) {
+      warnings.push(`${block.line}: unknown language "${block.lang}"`);
+    }
+
+    const syntax = LANGUAGES[block.lang];
+    if (syntax) {
+      // The first code line is the one after the fence
+      syntaxErrors(block.code, syntax).forEach(({ line, column, message }) => {
+        errors.push(`${block.line + 1 + line}:${column}: ${block.lang} syntax error: ${message}`);
+      });
+    }
+
+    findSecrets(block.code).forEach(({ line, value }) => {
+      errors.push(`${block.line + 1 + line}: hard-coded credential "${mask(value)}", use an environment variable`);
+    });
+  }
+
+  return { blocks, errors, warnings };
+}
+
+/**
+ * Run a snippet with node, resolving with its exit status and output
+ */
+function runSnippet(code, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-'], {
+      cwd: CONTENT_DIR,
+      env: { ...process.env, ...env },
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+
+    const timer = setTimeout(() => {
+      child.kill();
+      resolve({ ok: false, output: `timed out after ${RUN_TIMEOUT_MS / 1000}s` });
+    }, RUN_TIMEOUT_MS);
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ ok: code === 0, output });
+    });
+    child.stdin.end(code);
+  });
+}
+
+/**
+ * Run every `title="runnable"` block against a mock JSON-RPC endpoint
+ * @returns {Promise<{passed: number, failures: Array<{file: string, line: number, message: string}>}>}
+ */
+async function runRunnableBlocks(blocks) {
+  const runnable = blocks.filter(block => block.meta.title === 'runnable');
+  const failures = [];
+  if (runnable.length === 0) {
+    return { passed: 0, failures };
+  }
+
+  const { server } = createMockSite({ quiet: true });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const env = {
+    ALCHEMY_API_KEY: MOCK_API_KEY,
+    ALCHEMY_RPC_URL: `http://127.0.0.1:${server.address().port}/v2/${MOCK_API_KEY}`,
+  };
+
+  try {
+    for (const block of runnable) {
+      const syntax = LANGUAGES[block.lang];
+      if (syntax !== 'js' && syntax !== 'ts') {
+        failures.push({ file: block.file, line: block.line, message: `runnable blocks must be JavaScript or TypeScript, not "${block.lang}"` });
+        continue;
+      }
+      const code = syntax === 'ts'
+        ? ts.transpileModule(block.code, { compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022 } }).outputText
+        : block.code;
+
+      const { ok, output } = await runSnippet(code, env);
+      if (!ok) {
+        // Node prints the source line before the error itself
+        const lines = output.trim().split('\n').map(line => line.trim());
+        const reason = lines.find(line => /^(\w*Error\b|timed out)/.test(line)) || lines.pop() || 'exited with an error';
+        failures.push({ file: block.file, line: block.line, message: `runnable block failed: ${reason}` });
+      }
+    }
+  } finally {
+    server.close();
+  }
+
+  return { passed: runnable.length - failures.length, failures };
+}
+
+/**
+ * Pages listed in docs.yml
+ */
+function navigationPages() {
+  const docs = yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8'));
+  const pages = new Set();
+  walkNavigation(docs.navigation, (item) => {
+    if (item && item.path) {
+      pages.add(item.path);
+    }
+  });
+  return [...pages];
+}
+
+/**
+ * Check code blocks across pages
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Pages to check (default: every page in docs.yml)
+ * @param {boolean} [options.run] - Also run `title="runnable"` blocks
+ * @returns {Promise<{pages: Map<string, {errors: string[], warnings: string[]}>, blocks: number, run: {passed: number, failed: number}|null}>}
+ */
+async function checkCodeBlocks({ files, run = false } = {}) {
+  const pages = new Map();
+  const allBlocks = [];
+
+  for (const file of (files || navigationPages()).filter(f => fs.existsSync(path.join(CONTENT_DIR, f)))) {
+    const { blocks, errors, warnings } = checkPage(file);
+    allBlocks.push(...blocks);
+    pages.set(file, { errors, warnings });
+  }
+
+  let runSummary = null;
+  if (run) {
+    const { passed, failures } = await runRunnableBlocks(allBlocks);
+    failures.forEach(({ file, line, message }) => pages.get(file).errors.push(`${line}: ${message}`));
+    runSummary = { passed, failed: failures.length };
+  }
+
+  return { pages, blocks: allBlocks.length, run: runSummary };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  (async () => {
+    if (args.includes('--json')) {
+      const pages = files.length > 0 ? files : navigationPages();
+      const blocks = pages.flatMap(file => extractCodeBlocks(fs.readFileSync(path.join(CONTENT_DIR, file), 'utf-8'), file).blocks);
+      console.log(JSON.stringify(blocks, null, 2));
+      return;
+    }
+
+    console.log('🧩 Checking code blocks...\n');
+    const result = await checkCodeBlocks({ files: files.length > 0 ? files : undefined, run: args.includes('--run') });
+
+    let errorCount = 0;
+    let warningCount = 0;
+    for (const [file, { errors, warnings }] of result.pages) {
+      if (errors.length + warnings.length === 0) {
+        continue;
+      }
+      console.log(`📄 ${file}`);
+      warnings.forEach(warning => console.log(`  ⚠️  ${file}:${warning}`));
+      errors.forEach(error => console.log(`  ❌ ${file}:${error}`));
+      errorCount += errors.length;
+      warningCount += warnings.length;
+    }
+    if (errorCount + warningCount > 0) {
+      console.log('');
+    }
+
+    console.log(`${errorCount === 0 ? '✅' : '❌'} ${result.blocks} code block(s) in ${result.pages.size} page(s)`);
+    console.log(`   Errors: ${errorCount}`);
+    console.log(`   Warnings: ${warningCount}`);
+    if (result.run) {
+      console.log(`   Runnable: ${result.run.passed} passed, ${result.run.failed} failed`);
+    }
+    console.log('');
+
+    if (errorCount > 0) {
+      process.exit(1);
+    }
+  })().catch((error) => {
+    console.error('❌ Code block check failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkCodeBlocks, extractCodeBlocks, findSecrets, syntaxErrors };
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Check links between pages
+ *
+ * Usage: node scripts/check-links.js [file.mdx...] [--verbose]
+ *
+ * Parses every MDX page in docs.yml (or just the given files) and checks:
+ *   - `/docs/...` and relative links resolve to a nav page, following redirects.yml
+ *   - `#anchor` targets exist as headings on the target page
+ *   - relative links to other files (images, downloads) exist on disk
+ * Broken links are errors. Empty `(#)` placeholders are warnings, summarised
+ * unless --verbose is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { walkNavigation } = require('./generate-method-pages');
+const { pageRoute } = require('./detect-moves');
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+const REDIRECTS_PATH = path.join(CONTENT_DIR, 'redirects.yml');
+
+// Redirect chains longer than this are treated as loops
+const MAX_REDIRECTS = 10;
+
+/**
+ * Lines of an MDX source outside fenced code blocks, with inline code blanked
+ * @returns {Array<{text: string, line: number}>}
+ */
+function proseLines(source) {
+  const lines = [];
+  let fence = null;
+
+  source.split('\n').forEach((text, index) => {
+    const marker = text.match(/^\s*(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (!fence) {
+      lines.push({ text: text.replace(/`[^`]*`/g, match => ' '.repeat(match.length)), line: index + 1 });
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * GitHub-style heading slug, e.g. "Step 1: Configuration" -> "step-1-configuration"
+ */
+function slugify(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // keep link text only
+    .replace(/<[^>]+>/g, '')
+    .replace(/[*_~`]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Anchors a page defines: heading slugs (deduplicated like GitHub), `{#id}` and `id="..."`
+ */
+function collectAnchors(source) {
+  const anchors = new Set();
+  const seen = new Map();
+
+  for (const { text } of proseLines(source)) {
+    const heading = text.match(/^#{1,6}[ \t]+(.+?)[ \t#]*$/);
+    if (heading) {
+      const custom = heading[1].match(/\{#([\w-]+)\}\s*$/);
+      if (custom) {
+        anchors.add(custom[1]);
+      } else {
+        const slug = slugify(heading[1]);
+        const count = seen.get(slug) || 0;
+        anchors.add(count === 0 ? slug : `${slug}-${count}`);
+        seen.set(slug, count + 1);
+      }
+    }
+    for (const [, id] of text.matchAll(/\bid=["']([^"']+)["']/g)) {
+      anchors.add(id);
+    }
+  }
+
+  return anchors;
+}
+
+/**
+ * Markdown links and images, plus JSX/HTML href and src attributes
+ * @returns {Array<{href: string, text: string, line: number}>}
+ */
+function extractLinks(source) {
+  const links = [];
+
+  for (const { text, line } of proseLines(source)) {
+    for (const [, label, href] of text.matchAll(/!?\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+["'][^"']*["'])?\s*\)/g)) {
+      links.push({ href, text: label, line });
+    }
+    for (const [, href] of text.matchAll(/\b(?:href|src)=["']([^"']*)["']/g)) {
+      links.push({ href, text: href, line });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Routes, redirects and anchors needed to resolve links
+ */
+function loadSite() {
+  const docs = yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8'));
+  const routes = new Map(); // route -> file
+
+  walkNavigation(docs.navigation, (item) => {
+    if (item && item.path) {
+      routes.set(pageRoute(item.path), item.path);
+      if (item.slug) {
+        routes.set(`/docs/${item.slug}`, item.path);
+      }
+    }
+  });
+
+  const redirects = new Map();
+  if (fs.existsSync(REDIRECTS_PATH)) {
+    const doc = yaml.load(fs.readFileSync(REDIRECTS_PATH, 'utf-8')) || {};
+    (doc.redirects || []).forEach(redirect => redirects.set(redirect.from, redirect.to));
+  }
+
+  const anchorCache = new Map();
+  const anchorsFor = (file) => {
+    if (!anchorCache.has(file)) {
+      const fullPath = path.join(CONTENT_DIR, file);
+      anchorCache.set(file, fs.existsSync(fullPath) ? collectAnchors(fs.readFileSync(fullPath, 'utf-8')) : new Set());
+    }
+    return anchorCache.get(file);
+  };
+
+  return { routes, redirects, anchorsFor, pages: [...new Set(routes.values())] };
+}
+
+/**
+ * Follow redirects.yml from a route to a page file
+ * @returns {{file: string|null, error: string|null}}
+ */
+function resolveRoute(route, site) {
+  let current = route.replace(/\/+$/, '') || '/';
+  const visited = [current];
+
+  while (!site.routes.has(current) && site.redirects.has(current)) {
+    current = site.redirects.get(current).split('#')[0].replace(/\/+$/, '');
+    if (visited.includes(current) || visited.length > MAX_REDIRECTS) {
+      return { file: null, error: `redirect loop: ${[...visited, current].join(' → ')}` };
+    }
+    visited.push(current);
+  }
+
+  if (site.routes.has(current)) {
+    return { file: site.routes.get(current), error: null };
+  }
+  return {
+    file: null,
+    error: visited.length > 1
+      ? `${route} redirects to ${current}, which is not a page in docs.yml`
+      : `${route} is not a page in docs.yml`,
+  };
+}
+
+/**
+ * Check one page's links
+ * @param {string} file - Page path relative to the content root
+ * @param {object} site - From loadSite()
+ * @returns {{errors: string[], placeholders: string[]}}
+ */
+function checkPage(file, site) {
+  const errors = [];
+  const placeholders = [];
+  const source = fs.readFileSync(path.join(CONTENT_DIR, file), 'utf-8');
+
+  for (const { href, text, line } of extractLinks(source)) {
+    const where = `${file}:${line}`;
+
+    if (href === '' || href === '#') {
+      placeholders.push(`${where}: placeholder link "${text}"`);
+      continue;
+    }
+    // External links and other schemes are out of scope
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) {
+      continue;
+    }
+
+    const [target, anchor] = href.split('?')[0].split('#');
+    let targetFile = file;
+
+    if (target) {
+      let route;
+      if (target.startsWith('/')) {
+        if (!target.startsWith('/docs/') && target !== '/docs') {
+          continue; // site assets and app routes aren't content
+        }
+        route = target;
+      } else {
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(file), target));
+        if (resolved.startsWith('..')) {
+          errors.push(`${where}: ${href} points outside the content tree`);
+          continue;
+        }
+        // Relative links to non-page files must exist on disk
+        if (path.posix.extname(resolved) && !resolved.endsWith('.mdx')) {
+          if (!fs.existsSync(path.join(CONTENT_DIR, resolved))) {
+            errors.push(`${where}: ${href} does not exist`);
+          }
+          continue;
+        }
+        route = pageRoute(resolved);
+      }
+
+      const { file: resolvedFile, error } = resolveRoute(route, site);
+      if (error) {
+        errors.push(`${where}: broken link ${href} (${error})`);
+        continue;
+      }
+      targetFile = resolvedFile;
+    }
+
+    if (anchor !== undefined && anchor !== '' && !site.anchorsFor(targetFile).has(decodeURIComponent(anchor))) {
+      errors.push(`${where}: ${href} has no heading #${anchor} in ${targetFile}`);
+    }
+  }
+
+  return { errors, placeholders };
+}
+
+/**
+ * Check links across pages
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Pages to check (default: every page in docs.yml)
+ * @returns {{errors: string[], placeholders: string[], checked: number}}
+ */
+function checkLinks({ files } = {}) {
+  const site = loadSite();
+  const pages = (files || site.pages).filter(file => fs.existsSync(path.join(CONTENT_DIR, file)));
+  const errors = [];
+  const placeholders = [];
+
+  for (const file of pages) {
+    const result = checkPage(file, site);
+    errors.push(...result.errors);
+    placeholders.push(...result.placeholders);
+  }
+
+  return { errors, placeholders, checked: pages.length };
+}
+
+/**
+ * Print link check results
+ */
+function printLinkResults({ errors, placeholders, checked }, { verbose = false } = {}) {
+  if (verbose) {
+    placeholders.forEach(warning => console.log(`  ⚠️  ${warning}`));
+  } else if (placeholders.length > 0) {
+    const files = new Set(placeholders.map(warning => warning.split(':')[0]));
+    console.log(`  ⚠️  ${placeholders.length} placeholder (#) link(s) in ${files.size} page(s)`);
+  }
+  errors.forEach(error => console.log(`  ❌ ${error}`));
+
+  if (errors.length === 0) {
+    console.log(`✅ Links OK in ${checked} page(s)`);
+  } else {
+    console.log(`❌ ${errors.length} broken link(s) in ${checked} page(s)`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  try {
+    console.log('🔗 Checking links...\n');
+    const result = checkLinks({ files: files.length > 0 ? files : undefined });
+    printLinkResults(result, { verbose: args.includes('--verbose') });
+    console.log('');
+    if (result.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Link check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { checkLinks, printLinkResults, collectAnchors, extractLinks, slugify };
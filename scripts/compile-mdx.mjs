@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Compile-check MDX pages
+ *
+ * Usage: node scripts/compile-mdx.mjs [file.mdx...]
+ *
+ * Compiles every MDX file (or the given ones) with the MDX compiler the site
+ * renders with, so a stray `<` or unbalanced JSX is caught before it is
+ * published rather than when the page is rendered. content-sync.mjs and
+ * watch.js hold back files that fail, leaving the last good version live.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { compile } from "@mdx-js/mdx";
+import { findMdxFiles } from "./validate-docs.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_DIR = path.join(__dirname, "..");
+
+/**
+ * Blank out YAML frontmatter, which the site strips before compiling, keeping line numbers intact
+ */
+function withoutFrontmatter(source) {
+  const match = source.match(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?=\r?\n|$)/);
+  return match ? match[0].replace(/[^\n]/g, "") + source.slice(match[0].length) : source;
+}
+
+/**
+ * Compile one MDX source
+ * @returns {Promise<{line: number, column: number, message: string}|null>} The first error, if any
+ */
+export async function compileError(source) {
+  try {
+    await compile(withoutFrontmatter(source));
+    return null;
+  } catch (error) {
+    const message = error.reason || error.message;
+    // An unclosed tag's own position is in the message; its `place`, when set,
+    // is the start of the enclosing paragraph
+    const [, line, column] = message.match(/^Expected a closing tag for `[^`]*` \((\d+):(\d+)-\d+:\d+\)/) || [];
+    if (line) {
+      return { line: Number(line), column: Number(column), message };
+    }
+    const start = error.place?.start || error.place;
+    return { line: start?.line ?? 1, column: start?.column ?? 1, message };
+  }
+}
+
+/**
+ * Compile-check MDX files
+ * @param {string[]} files - Paths relative to the content root; other files are ignored
+ * @returns {Promise<{failed: Map<string, string>, checked: number}>} File -> "line:column: message"
+ */
+export async function checkMdx(files) {
+  const failed = new Map();
+  const pages = files.filter((file) => file.endsWith(".mdx") && fs.existsSync(path.join(CONTENT_DIR, file)));
+
+  for (const file of pages) {
+    const error = await compileError(fs.readFileSync(path.join(CONTENT_DIR, file), "utf-8"));
+    if (error) {
+      failed.set(file, `${error.line}:${error.column}: ${error.message}`);
+    }
+  }
+
+  return { failed, checked: pages.length };
+}
+
+/**
+ * Print files that failed to compile
+ */
+export function printMdxErrors(failed) {
+  for (const [file, error] of failed) {
+    console.log(`  ❌ ${file}:${error}`);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const files = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+
+  console.log("🧱 Compiling MDX...\n");
+  checkMdx(files.length > 0 ? files : findMdxFiles())
+    .then(({ failed, checked }) => {
+      printMdxErrors(failed);
+      if (failed.size > 0) {
+        console.log(`\n❌ ${failed.size} of ${checked} MDX file(s) failed to compile\n`);
+        process.exit(1);
+      }
+      console.log(`✅ ${checked} MDX file(s) compiled\n`);
+    })
+    .catch((error) => {
+      console.error("❌ MDX check failed:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,97 @@
+/**
+ * Per-branch content manifest (path -> content hash) used to sync only what changed
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Stored next to the branch's content, e.g. content/<branch>/.manifest.json
+export const MANIFEST_FILE = ".manifest.json";
+
+export function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash every local file
+ * @param {string[]} files - Paths relative to contentDir
+ * @param {string} contentDir
+ * @returns {Object<string, string>}
+ */
+export function buildLocalManifest(files, contentDir) {
+  const manifest = {};
+  for (const file of files) {
+    manifest[file] = hashContent(fs.readFileSync(path.join(contentDir, file)));
+  }
+  return manifest;
+}
+
+/**
+ * Compare local files with the published manifest
+ * @param {Object<string, string>} local
+ * @param {Object<string, string>} remote
+ * @returns {{adds: string[], updates: string[], deletes: string[], unchanged: string[]}}
+ */
+export function planSync(local, remote) {
+  const plan = { adds: [], updates: [], deletes: [], unchanged: [] };
+
+  for (const [file, hash] of Object.entries(local)) {
+    if (!(file in remote)) {
+      plan.adds.push(file);
+    } else if (remote[file] !== hash) {
+      plan.updates.push(file);
+    } else {
+      plan.unchanged.push(file);
+    }
+  }
+
+  for (const file of Object.keys(remote)) {
+    if (!(file in local)) {
+      plan.deletes.push(file);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Print the sync plan before anything is executed
+ */
+export function printPlan(plan, { verbose = false } = {}) {
+  console.log(`📋 Sync plan:`);
+  console.log(`   Add:       ${plan.adds.length}`);
+  console.log(`   Update:    ${plan.updates.length}`);
+  console.log(`   Delete:    ${plan.deletes.length}`);
+  console.log(`   Unchanged: ${plan.unchanged.length}`);
+
+  const show = (label, files) => {
+    const listed = verbose ? files : files.slice(0, 20);
+    listed.forEach((file) => console.log(`   ${label} ${file}`));
+    if (listed.length < files.length) {
+      console.log(`   ... and ${files.length - listed.length} more`);
+    }
+  };
+
+  if (plan.adds.length + plan.updates.length + plan.deletes.length > 0) {
+    console.log("");
+    show("+", plan.adds);
+    show("~", plan.updates);
+    show("-", plan.deletes);
+  }
+  console.log("");
+}
+
+/**
+ * The manifest to store after a sync: the previous one with successful operations applied
+ */
+export function applyResults(remote, local, { uploaded, deleted }) {
+  const manifest = { ...remote };
+  uploaded.forEach((file) => {
+    manifest[file] = local[file];
+  });
+  deleted.forEach((file) => {
+    delete manifest[file];
+  });
+  return manifest;
+}
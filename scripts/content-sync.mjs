@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+/**
+ * Sync content to a storage backend
+ *
+ * Usage:
+ *   node scripts/content-sync.mjs [branch-name] [--backend <name>] [--dry-run] [--full]
+ *                                 [--concurrency <n>] [--rate-limit <n>] [--retry-failed]
+ *                                 [--release [--keep <n>]]
+ *
+ * Only files whose content hash differs from the branch manifest are uploaded,
+ * and files removed locally are deleted from the backend.
+ *   --backend  blob, redis, local, s3 or memory (default: CONTENT_BACKEND, then blob)
+ *   --dry-run  Print the plan without changing anything
+ *   --full     Re-upload every file regardless of the manifest
+ *   --concurrency  Uploads in flight at once (default: UPLOAD_CONCURRENCY, then 8)
+ *   --rate-limit   Requests per second across all uploads (default: UPLOAD_RATE_LIMIT,
+ *                  then no limit)
+ *   --retry-failed Only retry the files that failed on the previous run
+ *   --release  Publish as an immutable release and flip the branch pointer once
+ *              every file is stored (default: CONTENT_RELEASES=true, or when the
+ *              branch already has a release pointer); see releases.mjs
+ *   --keep     Releases to keep with --release (default: 5)
+ *
+ * Changed MDX files are compiled first; any that fail are held back, so the
+ * published copy stays at its last good version, and the run exits non-zero.
+ *
+ * Each sync that changes anything also republishes the search index
+ * (.search-index.json, see search-index.js).
+ *
+ * Rate limits, 5xx responses and dropped connections are retried with
+ * exponential backoff; a Retry-After from the server pauses every upload for
+ * that long. Files that still fail are saved to a failure list
+ * under node_modules/.cache/content-sync/ for --retry-failed.
+ *
+ * Backend credentials:
+ *   blob   BLOB_READ_WRITE_TOKEN
+ *   redis  KV_REST_API_URL, KV_REST_API_TOKEN
+ *   local  LOCAL_CONTENT_DIR (optional, defaults to node_modules/.cache/content-store)
+ *   s3     S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_REGION (optional)
+ *   memory MEMORY_KEY_SCHEME (redis or blob), MEMORY_STORE_FILE (optional); no network
+ *
+ * Default branch: main
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { validateDocs, printDocsValidation } from "./validate-docs.js";
+import { requestRevalidation } from "./revalidate.js";
+import { SEARCH_INDEX_FILE, buildSearchIndex, serializeSearchIndex } from "./search-index.js";
+import { createBackend } from "./storage-backends.mjs";
+import { createRateLimiter, mapWithConcurrency, withRetry } from "./upload-queue.mjs";
+import { checkMdx, printMdxErrors } from "./compile-mdx.mjs";
+import {
+  MANIFEST_FILE,
+  applyResults,
+  buildLocalManifest,
+  planSync,
+  printPlan,
+} from "./content-manifest.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_DIR = path.join(__dirname, "..");
+const FAILURES_DIR = path.join(CONTENT_DIR, "node_modules", ".cache", "content-sync");
+const DEFAULT_CONCURRENCY = 8;
+
+// Files and directories to skip
+// Note: We DO upload alchemy/generated/ specs - they're needed for the site
+export const SKIP_PATTERNS = [
+  /node_modules/,
+  /\.git/,
+  /\.DS_Store/,
+  /^\.env$/, // Skip .env file (but allow .env.example)
+  /scripts/, // Skip scripts directory
+  /package.*\.json/, // Skip package files
+  /\.gitignore/,
+];
+
+export function shouldSkip(filePath) {
+  return SKIP_PATTERNS.some((pattern) => pattern.test(filePath));
+}
+
+/**
+ * Every publishable file under dir, relative to baseDir
+ */
+export async function getAllFiles(dir, baseDir = dir) {
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    const relativePath = path.relative(baseDir, fullPath);
+
+    if (shouldSkip(relativePath)) {
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      files.push(...(await getAllFiles(fullPath, baseDir)));
+    } else {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read the branch manifest, or an empty one for a first sync
+ */
+export async function loadManifest(backend, branch) {
+  const value = await backend.get(branch, MANIFEST_FILE);
+  return value ? JSON.parse(value) : {};
+}
+
+/**
+ * Where the files that failed to sync last time are recorded
+ */
+function failuresPath(backend, branch) {
+  return path.join(FAILURES_DIR, `${backend.name}-${branch.replace(/[^\w.-]/g, "_")}.json`);
+}
+
+export function loadFailures(backend, branch) {
+  const file = failuresPath(backend, branch);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null;
+}
+
+function saveFailures(backend, branch, errors) {
+  const file = failuresPath(backend, branch);
+  if (errors.length === 0) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  fs.mkdirSync(FAILURES_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ files: errors.map(({ file }) => file), errors }, null, 2));
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Drop MDX files that fail to compile from a plan's adds and updates
+ * @returns {Promise<Array<{file: string, error: string}>>} The held-back files
+ */
+export async function holdBackBrokenMdx(plan) {
+  const { failed } = await checkMdx([...plan.adds, ...plan.updates]);
+  if (failed.size === 0) {
+    return [];
+  }
+
+  console.log(`🧱 Holding back ${failed.size} MDX file(s) that fail to compile:`);
+  printMdxErrors(failed);
+  console.log("");
+  plan.adds = plan.adds.filter((file) => !failed.has(file));
+  plan.updates = plan.updates.filter((file) => !failed.has(file));
+  return [...failed].map(([file, error]) => ({ file, error }));
+}
+
+/**
+ * Sync the content tree to a backend
+ * @param {object} backend - From createBackend()
+ * @param {string} branch
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only print the plan
+ * @param {boolean} [options.full] - Re-upload unchanged files too
+ * @param {number} [options.concurrency] - Uploads in flight at once
+ * @param {number} [options.rateLimit] - Requests per second, 0 for no limit
+ * @param {boolean} [options.retryFailed] - Limit the sync to files that failed last run
+ * @returns {Promise<{uploaded: string[], deleted: string[], errors: Array<{file: string, error: string}>, heldBack: Array<{file: string, error: string}>}>}
+ */
+export async function syncContent(
+  backend,
+  branch,
+  { dryRun = false, full = false, concurrency = DEFAULT_CONCURRENCY, rateLimit = 0, retryFailed = false } = {}
+) {
+  const startTime = Date.now();
+  const files = await getAllFiles(CONTENT_DIR);
+  const local = buildLocalManifest(files, CONTENT_DIR);
+  const remote = await loadManifest(backend, branch);
+
+  console.log(`📁 Found ${files.length} local files\n`);
+
+  const plan = planSync(local, remote);
+  if (full) {
+    plan.updates.push(...plan.unchanged.splice(0));
+  }
+  if (retryFailed) {
+    const failures = loadFailures(backend, branch);
+    if (!failures) {
+      console.log("ℹ️  No failures recorded for this branch, syncing everything that changed\n");
+    } else {
+      const failed = new Set(failures.files);
+      console.log(`🔁 Retrying ${failed.size} file(s) that failed last run\n`);
+      for (const key of ["adds", "updates", "deletes"]) {
+        plan.unchanged.push(...plan[key].filter((file) => !failed.has(file)));
+        plan[key] = plan[key].filter((file) => failed.has(file));
+      }
+    }
+  }
+  const heldBack = await holdBackBrokenMdx(plan);
+  printPlan(plan);
+
+  const uploaded = [];
+  const deleted = [];
+  const errors = [];
+
+  if (dryRun) {
+    console.log("ℹ️  Dry run, nothing was changed");
+    return { uploaded, deleted, errors, heldBack };
+  }
+
+  const toUpload = [...plan.adds, ...plan.updates];
+  if (toUpload.length === 0 && plan.deletes.length === 0) {
+    console.log("✅ Already up to date");
+    return { uploaded, deleted, errors, heldBack };
+  }
+
+  const retryLogger = (file) => (error, attempt, delayMs) => {
+    console.log(`   ↻ ${file}: ${error.message} (retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s)`);
+  };
+  const limiter = createRateLimiter(rateLimit);
+
+  const uploadStart = Date.now();
+  let bytes = 0;
+  let done = 0;
+
+  await mapWithConcurrency(toUpload, concurrency, async (file) => {
+    try {
+      // A file that vanished or can't be read fails on its own, like an upload error
+      const content = fs.readFileSync(path.join(CONTENT_DIR, file));
+      await withRetry(() => backend.put(branch, file, content), { onRetry: retryLogger(file), limiter });
+      uploaded.push(file);
+      bytes += content.length;
+      console.log(`   [${++done}/${toUpload.length}] ✅ ${file}`);
+    } catch (error) {
+      errors.push({ file, error: error.message });
+      console.log(`   [${++done}/${toUpload.length}] ❌ ${file}: ${error.message}`);
+    }
+  });
+
+  const uploadSeconds = Math.max((Date.now() - uploadStart) / 1000, 0.001);
+
+  if (plan.deletes.length > 0) {
+    process.stdout.write(`   Deleting ${plan.deletes.length} removed files...`);
+    try {
+      await withRetry(() => backend.remove(branch, plan.deletes), { onRetry: retryLogger("delete"), limiter });
+      deleted.push(...plan.deletes);
+      process.stdout.write(` ✅\n`);
+    } catch (error) {
+      process.stdout.write(` ❌ ${error.message}\n`);
+      plan.deletes.forEach((file) => errors.push({ file, error: error.message }));
+    }
+  }
+
+  // Record what actually happened, so failed files are retried next run
+  await withRetry(() =>
+    backend.put(
+      branch,
+      MANIFEST_FILE,
+      Buffer.from(JSON.stringify(applyResults(remote, local, { uploaded, deleted })))
+    )
+  );
+  const info = backend.branchInfo("sync");
+  await withRetry(() => backend.put(branch, info.file, info.content));
+  // Pages held back or that failed to upload aren't published as they are on disk, so search skips them
+  const unpublished = new Set([...heldBack, ...errors].map(({ file }) => file));
+  const searchIndex = serializeSearchIndex(buildSearchIndex({ exclude: unpublished }));
+  await withRetry(() => backend.put(branch, SEARCH_INDEX_FILE, searchIndex));
+  saveFailures(backend, branch, errors);
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+  console.log("");
+  console.log(`✅ Sync complete!`);
+  console.log(`   Uploaded: ${uploaded.length} files`);
+  console.log(`   Deleted: ${deleted.length} files`);
+  console.log(`   Unchanged: ${plan.unchanged.length} files`);
+  console.log(`   Failed: ${errors.length} files`);
+  console.log(`   Search index: ${formatBytes(searchIndex.length)}`);
+  console.log(`   Duration: ${duration}s`);
+  if (uploaded.length > 0) {
+    console.log(
+      `   Throughput: ${(uploaded.length / uploadSeconds).toFixed(1)} files/s, ${formatBytes(bytes / uploadSeconds)}/s (${concurrency} concurrent)`
+    );
+  }
+  console.log(`   Branch: ${backend.location(branch)}`);
+
+  return { uploaded, deleted, errors, heldBack };
+}
+
+/**
+ * Revalidate every page of a branch on the docs site
+ */
+export async function triggerRevalidation(branch) {
+  const docsUrl = process.env.DOCS_SITE_URL;
+  const secret = process.env.REVALIDATE_SECRET;
+
+  if (!docsUrl || !secret) {
+    console.log("\n⚠️  Skipping revalidation (DOCS_SITE_URL or REVALIDATE_SECRET not set)");
+    return;
+  }
+
+  console.log(`\n🔄 Triggering revalidation on ${docsUrl}...`);
+
+  try {
+    const result = await requestRevalidation({ branch, revalidateAll: true }, { url: docsUrl, secret });
+    console.log(`   ✅ Revalidated ${result.revalidated} pages`);
+  } catch (error) {
+    console.log(`   ❌ Revalidation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Command-line entry point
+ * @param {string[]} args - Arguments after the script name
+ * @param {object} [defaults]
+ * @param {string} [defaults.backend] - Backend used when --backend is not given
+ */
+export async function runCli(args, defaults = {}) {
+  // Flags that take a value, which must not be mistaken for the branch name
+  const valueIndexes = new Set(
+    ["--backend", "--concurrency", "--rate-limit", "--keep"].map((flag) => args.indexOf(flag)).filter((i) => i >= 0).map((i) => i + 1)
+  );
+  const optionValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  const backendName = optionValue("--backend") || defaults.backend || process.env.CONTENT_BACKEND || "blob";
+  const branch = args.find((arg, index) => !arg.startsWith("--") && !valueIndexes.has(index)) || "main";
+  const concurrency = Number(optionValue("--concurrency") || process.env.UPLOAD_CONCURRENCY || DEFAULT_CONCURRENCY);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error("❌ --concurrency must be a positive integer");
+    process.exit(1);
+  }
+  const rateLimit = Number(optionValue("--rate-limit") || process.env.UPLOAD_RATE_LIMIT || 0);
+  if (!Number.isFinite(rateLimit) || rateLimit < 0) {
+    console.error("❌ --rate-limit must be a number of requests per second");
+    process.exit(1);
+  }
+
+  let backend;
+  try {
+    backend = await createBackend(backendName);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`📦 Uploading content to ${backend.label}...`);
+  console.log(`   Branch: ${branch}`);
+  console.log("");
+
+  // Refuse to publish a navigation that points at missing or duplicate pages
+  console.log(`🔍 Validating docs.yml...`);
+  const docsValidation = validateDocs();
+  printDocsValidation(docsValidation);
+  console.log("");
+  if (docsValidation.errors.length > 0) {
+    console.error("❌ Fix docs.yml before uploading");
+    process.exit(1);
+  }
+
+  // Readers of a branch with a release pointer never see in-place files, so keep publishing releases
+  const releases = await import("./releases.mjs");
+  const pointer = await releases.loadPointer(backend, branch);
+  const releaseMode = args.includes("--release") || process.env.CONTENT_RELEASES === "true" || pointer !== null;
+  if (pointer && !args.includes("--release")) {
+    console.log(`📦 ${branch} is published as releases, publishing a new one\n`);
+  }
+  if (releaseMode && args.includes("--retry-failed")) {
+    // A failed release is discarded whole, so there is nothing to retry file by file
+    console.error("❌ --retry-failed only applies to in-place syncs; re-run without it to publish a new release");
+    process.exit(1);
+  }
+  const options = {
+    dryRun: args.includes("--dry-run"),
+    full: args.includes("--full"),
+    concurrency,
+    rateLimit,
+  };
+
+  let result;
+  if (releaseMode) {
+    const files = await getAllFiles(CONTENT_DIR);
+    console.log(`📁 Found ${files.length} local files\n`);
+    result = await releases.publishRelease(backend, branch, buildLocalManifest(files, CONTENT_DIR), {
+      ...options,
+      keep: Number(optionValue("--keep") || releases.DEFAULT_KEEP),
+    });
+  } else {
+    result = await syncContent(backend, branch, { ...options, retryFailed: args.includes("--retry-failed") });
+  }
+  const { uploaded, deleted, errors, heldBack } = result;
+
+  if (errors.length > 0) {
+    console.log("\n❌ Errors:");
+    errors.forEach(({ file, error }) => {
+      console.log(`   ${file}: ${error}`);
+    });
+    console.log(releaseMode
+      ? "\nℹ️  Nothing was switched over; re-run to publish a new release"
+      : "\nℹ️  Re-run with --retry-failed to retry only these files");
+    process.exit(1);
+  }
+
+  // Trigger revalidation if anything was published
+  if (uploaded.length > 0 || deleted.length > 0) {
+    await triggerRevalidation(branch);
+  }
+
+  if (heldBack.length > 0) {
+    console.log("\n❌ MDX files that failed to compile (last published version kept):");
+    heldBack.forEach(({ file, error }) => {
+      console.log(`   ${file}:${error}`);
+    });
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runCli(process.argv.slice(2)).catch((error) => {
+    console.error("❌ Upload failed:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Detect moved/renamed pages and keep their old URLs working
+ *
+ * Usage:
+ *   node scripts/detect-moves.js [git-range] [--write]
+ *
+ * Lists MDX renames in a git range (default: uncommitted changes against HEAD)
+ * and proposes a `permanent: true` redirect plus the docs.yml path update for
+ * each. With --write, redirects.yml and docs.yml are updated in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { execFileSync } = require('child_process');
+const { updateDocsYml } = require('./docs-yml');
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+const REDIRECTS_PATH = path.join(CONTENT_DIR, 'redirects.yml');
+
+// Minimum line similarity for an unlink + add pair to count as a move
+const SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * URL route for a content file, e.g. guides/page-3.mdx -> /docs/guides/page-3
+ */
+function pageRoute(filePath) {
+  return `/docs/${filePath.split(path.sep).join('/').replace(/\.mdx$/, '')}`;
+}
+
+/**
+ * Dice coefficient over the non-empty lines of two documents
+ */
+function similarity(a, b) {
+  const count = (text) => {
+    const counts = new Map();
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    });
+    return counts;
+  };
+
+  const linesA = count(a);
+  const linesB = count(b);
+  let shared = 0;
+  let total = 0;
+
+  for (const [line, n] of linesA) {
+    shared += Math.min(n, linesB.get(line) || 0);
+    total += n;
+  }
+  for (const n of linesB.values()) {
+    total += n;
+  }
+
+  return total === 0 ? 1 : (2 * shared) / total;
+}
+
+/**
+ * Pick the deleted file most similar to a newly added one
+ * @param {string} content - Content of the added file
+ * @param {Map<string, string>} candidates - Deleted path -> previous content
+ * @returns {{from: string, score: number}|null}
+ */
+function findMoveSource(content, candidates) {
+  let best = null;
+  for (const [from, previous] of candidates) {
+    const score = similarity(previous, content);
+    if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) {
+      best = { from, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Record a move in redirects.yml and docs.yml
+ * @param {string} from - Old path relative to the content root
+ * @param {string} to - New path relative to the content root
+ * @param {object} [options]
+ * @param {boolean} [options.write=true] - When false, only report what would change
+ * @returns {{redirect: object|null, navUpdates: number}}
+ */
+function applyMove(from, to, { write = true } = {}) {
+  const fromRoute = pageRoute(from);
+  const toRoute = pageRoute(to);
+
+  const redirectsDoc = fs.existsSync(REDIRECTS_PATH)
+    ? yaml.load(fs.readFileSync(REDIRECTS_PATH, 'utf-8')) || {}
+    : {};
+  const redirects = redirectsDoc.redirects || [];
+  const before = JSON.stringify(redirects);
+
+  // Point existing redirects at the new location instead of chaining through the old one
+  redirects.forEach((redirect) => {
+    if (redirect.to === fromRoute) {
+      redirect.to = toRoute;
+    }
+  });
+
+  let redirect = null;
+  if (!redirects.some(r => r.from === fromRoute)) {
+    redirect = { from: fromRoute, to: toRoute, permanent: true };
+    redirects.push(redirect);
+  }
+  // A page moved back to a previous location must not redirect to itself
+  redirectsDoc.redirects = redirects.filter(r => r.from !== r.to);
+
+  let navUpdates = 0;
+  const docsText = fs.readFileSync(DOCS_YML_PATH, 'utf-8');
+  const docs = yaml.load(docsText);
+  (function visit(items) {
+    for (const item of items || []) {
+      if (item.path === from) {
+        item.path = to;
+        navUpdates++;
+      }
+      visit(item.contents);
+    }
+  })(docs.navigation);
+
+  // Leave files alone when the move is already recorded, e.g. on a re-run
+  if (write) {
+    if (JSON.stringify(redirectsDoc.redirects) !== before) {
+      fs.writeFileSync(REDIRECTS_PATH, yaml.dump(redirectsDoc));
+    }
+    if (navUpdates > 0) {
+      fs.writeFileSync(DOCS_YML_PATH, updateDocsYml(docsText, docs));
+    }
+  }
+
+  return { redirect, navUpdates };
+}
+
+/**
+ * MDX renames in a git range, using git's rename detection
+ *
+ * When comparing against the working tree, untracked pages are matched by
+ * content against deleted ones too, since git only pairs up tracked files.
+ * @param {string} [range] - e.g. `origin/main..HEAD`; defaults to the working tree against HEAD
+ * @returns {Array<{from: string, to: string, score: number}>}
+ */
+function findGitMoves(range = 'HEAD') {
+  const git = (args) => execFileSync('git', args, { cwd: CONTENT_DIR, encoding: 'utf-8' });
+  const revs = range.split(' ').filter(Boolean);
+  const output = git(['diff', '--name-status', '-M', ...revs, '--', '*.mdx']);
+  const lines = output.split('\n').filter(Boolean).map(line => line.split('\t'));
+
+  const moves = lines
+    .filter(([status]) => status.startsWith('R'))
+    .map(([status, from, to]) => ({ from, to, score: Number(status.slice(1)) / 100 }));
+
+  // A single ref without ".." is diffed against the working tree
+  if (revs.length === 1 && !revs[0].includes('..')) {
+    const deleted = new Map(lines
+      .filter(([status]) => status === 'D')
+      .map(([, file]) => [file, git(['show', `${revs[0]}:${file}`])]));
+    const untracked = deleted.size > 0
+      ? git(['ls-files', '--others', '--exclude-standard', '--', '*.mdx']).split('\n').filter(Boolean)
+      : [];
+
+    for (const to of untracked) {
+      const source = findMoveSource(fs.readFileSync(path.join(CONTENT_DIR, to), 'utf-8'), deleted);
+      if (source) {
+        moves.push({ from: source.from, to, score: source.score });
+        deleted.delete(source.from);
+      }
+    }
+  }
+
+  return moves;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const write = args.includes('--write');
+  const range = args.find(arg => !arg.startsWith('--')) || 'HEAD';
+
+  try {
+    const moves = findGitMoves(range);
+
+    console.log(`🔀 Detecting moved pages in ${range}...\n`);
+
+    if (moves.length === 0) {
+      console.log('✅ No moved pages found\n');
+      process.exit(0);
+    }
+
+    for (const { from, to, score } of moves) {
+      const { redirect, navUpdates } = applyMove(from, to, { write });
+      console.log(`   ${from} → ${to} (${Math.round(score * 100)}% similar)`);
+      if (redirect) {
+        console.log(`      redirect: ${redirect.from} → ${redirect.to}`);
+      }
+      if (navUpdates > 0) {
+        console.log(`      docs.yml: ${navUpdates} path(s) updated`);
+      }
+    }
+
+    console.log('');
+    console.log(write
+      ? '✅ Updated redirects.yml and docs.yml\n'
+      : 'ℹ️  Dry run. Re-run with --write to update redirects.yml and docs.yml\n');
+  } catch (error) {
+    console.error('❌ Move detection failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { applyMove, findMoveSource, findGitMoves, pageRoute, similarity };
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+
+/**
+ * Report API changes between spec revisions
+ *
+ * Usage:
+ *   node scripts/diff-specs.js [spec...] [--base <git-ref>] [--json]
+ *   node scripts/diff-specs.js --base-file <previous-generated.json> [--json]
+ *
+ * Compares the dereferenced output of the current alchemy/specs sources against
+ * the same specs at a git ref (default: HEAD) or a previously generated JSON file.
+ * Exits with 1 when breaking changes are found, 2 when the diff could not run.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { dereferenceSpec, findSpecFiles, SPECS_DIR } = require('./generate-specs');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { specs: [], base: null, baseFile: null, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--base') {
+      args.base = argv[++i];
+    } else if (arg === '--base-file') {
+      args.baseFile = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else {
+      args.specs.push(path.basename(arg, path.extname(arg)));
+    }
+  }
+
+  if (!args.base && !args.baseFile) {
+    args.base = 'HEAD';
+  }
+
+  return args;
+}
+
+/**
+ * Check out alchemy/specs at a git ref into a temporary directory
+ * @returns {string} Path to the specs directory at that ref
+ */
+function checkoutSpecsAt(ref) {
+  const relativeSpecsDir = path.relative(REPO_ROOT, SPECS_DIR);
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'specs-diff-'));
+  const git = (...args) => execFileSync('git', args, { cwd: REPO_ROOT, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+
+  const files = git('ls-tree', '-r', '--name-only', ref, '--', relativeSpecsDir)
+    .split('\n')
+    .filter(Boolean);
+
+  for (const file of files) {
+    const target = path.join(tmpDir, path.relative(relativeSpecsDir, file));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, git('show', `${ref}:${file}`));
+  }
+
+  return tmpDir;
+}
+
+/**
+ * Dereference every spec in a directory, keyed by spec name
+ */
+async function loadSpecsFromDir(dir, names) {
+  const specs = {};
+  for (const file of findSpecFiles(dir)) {
+    const name = path.basename(file, path.extname(file));
+    if (names.length === 0 || names.includes(name)) {
+      specs[name] = (await dereferenceSpec(file, { quiet: true })).spec;
+    }
+  }
+  return specs;
+}
+
+const ANNOTATION_KEYWORDS = ['title', 'description', 'example', 'examples', 'default', '$comment'];
+
+/**
+ * Drop keywords that document a schema without changing what it accepts
+ */
+function stripAnnotations(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(stripAnnotations);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!ANNOTATION_KEYWORDS.includes(key)) {
+      result[key] = stripAnnotations(value);
+    }
+  }
+  return result;
+}
+
+function typesOf(schema) {
+  if (!schema || schema.type === undefined) {
+    return null;
+  }
+  return new Set(Array.isArray(schema.type) ? schema.type : [schema.type]);
+}
+
+function difference(a, b) {
+  return [...a].filter(item => !b.has(item));
+}
+
+/**
+ * Compare two schemas and describe how the accepted value set changed
+ * @returns {Array<{direction: 'narrowed'|'widened'|'added-property'|'removed-property', pointer: string, detail: string}>}
+ */
+function compareSchemas(before, after, pointer = '') {
+  const changes = [];
+  const add = (direction, detail) => changes.push({ direction, pointer, detail });
+
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      add(after ? 'narrowed' : 'widened', 'schema replaced');
+    }
+    return changes;
+  }
+
+  if (before.$ref || after.$ref) {
+    if (before.$ref !== after.$ref) {
+      add('narrowed', `reference changed from ${before.$ref || 'inline schema'} to ${after.$ref || 'inline schema'}`);
+    }
+    return changes;
+  }
+
+  const beforeTypes = typesOf(before);
+  const afterTypes = typesOf(after);
+  if (beforeTypes && afterTypes) {
+    difference(beforeTypes, afterTypes).forEach(type => add('narrowed', `no longer accepts type ${type}`));
+    difference(afterTypes, beforeTypes).forEach(type => add('widened', `now accepts type ${type}`));
+  } else if (!beforeTypes && afterTypes) {
+    add('narrowed', `restricted to type ${[...afterTypes].join(' | ')}`);
+  } else if (beforeTypes && !afterTypes) {
+    add('widened', 'type restriction removed');
+  }
+
+  if (before.enum || after.enum) {
+    if (!before.enum) {
+      add('narrowed', `restricted to enum ${JSON.stringify(after.enum)}`);
+    } else if (!after.enum) {
+      add('widened', 'enum restriction removed');
+    } else {
+      const beforeValues = new Set(before.enum.map(v => JSON.stringify(v)));
+      const afterValues = new Set(after.enum.map(v => JSON.stringify(v)));
+      difference(beforeValues, afterValues).forEach(v => add('narrowed', `enum value ${v} removed`));
+      difference(afterValues, beforeValues).forEach(v => add('widened', `enum value ${v} added`));
+    }
+  }
+
+  if (before.pattern !== after.pattern) {
+    if (!after.pattern) {
+      add('widened', 'pattern removed');
+    } else {
+      add('narrowed', `pattern ${before.pattern ? 'changed' : 'added'}: ${after.pattern}`);
+    }
+  }
+
+  for (const combinator of ['oneOf', 'anyOf']) {
+    const beforeBranches = before[combinator] || [];
+    const afterBranches = after[combinator] || [];
+
+    if (beforeBranches.length > 0 && beforeBranches.length === afterBranches.length) {
+      // Same shape: compare alternatives position by position
+      beforeBranches.forEach((branch, i) => {
+        changes.push(...compareSchemas(branch, afterBranches[i], `${pointer}/${combinator}/${i}`));
+      });
+    } else if (beforeBranches.length > 0 || afterBranches.length > 0) {
+      const beforeSet = new Set(beforeBranches.map(b => JSON.stringify(stripAnnotations(b))));
+      const afterSet = new Set(afterBranches.map(b => JSON.stringify(stripAnnotations(b))));
+      if (difference(beforeSet, afterSet).length > 0) {
+        add('narrowed', `${combinator} alternative removed`);
+      }
+      if (difference(afterSet, beforeSet).length > 0) {
+        add('widened', `${combinator} alternative added`);
+      }
+    }
+  }
+
+  const beforeRequired = new Set(before.required || []);
+  const afterRequired = new Set(after.required || []);
+  difference(afterRequired, beforeRequired).forEach(prop => add('narrowed', `property ${prop} is now required`));
+  difference(beforeRequired, afterRequired).forEach(prop => add('widened', `property ${prop} is no longer required`));
+
+  const beforeProps = before.properties || {};
+  const afterProps = after.properties || {};
+  for (const prop of Object.keys(beforeProps)) {
+    if (!(prop in afterProps)) {
+      changes.push({ direction: 'removed-property', pointer: `${pointer}/properties/${prop}`, detail: `property ${prop} removed` });
+    } else {
+      changes.push(...compareSchemas(beforeProps[prop], afterProps[prop], `${pointer}/properties/${prop}`));
+    }
+  }
+  for (const prop of Object.keys(afterProps)) {
+    if (!(prop in beforeProps)) {
+      changes.push({ direction: 'added-property', pointer: `${pointer}/properties/${prop}`, detail: `property ${prop} added` });
+    }
+  }
+
+  if (before.items || after.items) {
+    changes.push(...compareSchemas(before.items, after.items, `${pointer}/items`));
+  }
+
+  return changes;
+}
+
+/**
+ * Classify the changes between two versions of one spec
+ * @returns {Array<{method: string, kind: string, breaking: boolean, detail: string}>}
+ */
+function diffSpec(before, after) {
+  const changes = [];
+  const beforeMethods = new Map((before?.methods || []).map(m => [m.name, m]));
+  const afterMethods = new Map((after?.methods || []).map(m => [m.name, m]));
+
+  for (const [name] of beforeMethods) {
+    if (!afterMethods.has(name)) {
+      changes.push({ method: name, kind: 'removed-method', breaking: true, detail: 'method removed' });
+    }
+  }
+  for (const [name] of afterMethods) {
+    if (!beforeMethods.has(name)) {
+      changes.push({ method: name, kind: 'added-method', breaking: false, detail: 'method added' });
+    }
+  }
+
+  for (const [name, oldMethod] of beforeMethods) {
+    const newMethod = afterMethods.get(name);
+    if (newMethod) {
+      changes.push(...diffMethod(oldMethod, newMethod));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare params and result of one method
+ */
+function diffMethod(before, after) {
+  const changes = [];
+  const method = after.name;
+  const byName = after.paramStructure === 'by-name';
+  const oldParams = before.params || [];
+  const newParams = after.params || [];
+  const oldNames = new Set(oldParams.map(p => p.name));
+  const newNames = new Set(newParams.map(p => p.name));
+  const renamed = new Set();
+
+  // A param that changed name but kept its position and schema is a rename
+  newParams.forEach((param, index) => {
+    const previous = oldParams[index];
+    if (previous && !newNames.has(previous.name) && !oldNames.has(param.name) &&
+        JSON.stringify(stripAnnotations(previous.schema)) === JSON.stringify(stripAnnotations(param.schema))) {
+      renamed.add(previous.name).add(param.name);
+      changes.push({
+        method,
+        kind: 'renamed-param',
+        breaking: byName,
+        detail: `param ${previous.name} renamed to ${param.name}`,
+      });
+    }
+  });
+
+  for (const param of oldParams) {
+    if (!newNames.has(param.name) && !renamed.has(param.name)) {
+      changes.push({ method, kind: 'removed-param', breaking: true, detail: `param ${param.name} removed` });
+    }
+  }
+
+  newParams.forEach((param) => {
+    if (renamed.has(param.name)) {
+      return;
+    }
+
+    const previous = oldParams.find(p => p.name === param.name);
+    if (!previous) {
+      changes.push({
+        method,
+        kind: param.required ? 'new-required-param' : 'added-param',
+        breaking: !!param.required,
+        detail: `${param.required ? 'required' : 'optional'} param ${param.name} added`,
+      });
+      return;
+    }
+
+    if (param.required && !previous.required) {
+      changes.push({ method, kind: 'new-required-param', breaking: true, detail: `param ${param.name} is now required` });
+    }
+
+    // Inputs break clients when they accept less
+    for (const change of compareSchemas(previous.schema, param.schema)) {
+      const narrowed = change.direction === 'narrowed' || change.direction === 'removed-property';
+      changes.push({
+        method,
+        kind: narrowed ? 'narrowed-param' : 'widened-param',
+        breaking: narrowed,
+        detail: `param ${param.name}${change.pointer}: ${change.detail}`,
+      });
+    }
+  });
+
+  // Results break clients when they can return something new or drop a field
+  const resultChanges = compareSchemas(before.result?.schema, after.result?.schema);
+  for (const change of resultChanges) {
+    changes.push({
+      method,
+      kind: 'changed-result',
+      breaking: change.direction === 'widened' || change.direction === 'removed-property',
+      detail: `result${change.pointer}: ${change.detail}`,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Print a human-readable report
+ */
+function printReport(report) {
+  for (const [spec, changes] of Object.entries(report)) {
+    console.log(`📄 ${spec}`);
+    if (changes.length === 0) {
+      console.log('   No API changes\n');
+      continue;
+    }
+    changes.forEach(({ method, kind, breaking, detail }) => {
+      console.log(`   ${breaking ? '💥' : '➕'} ${method}: ${detail} (${kind})`);
+    });
+    console.log('');
+  }
+
+  const all = Object.values(report).flat();
+  const breaking = all.filter(change => change.breaking).length;
+  console.log('═══════════════════════════════════════════');
+  console.log(`${breaking > 0 ? '💥' : '✅'} ${breaking} breaking, ${all.length - breaking} non-breaking change(s)`);
+  console.log('═══════════════════════════════════════════\n');
+}
+
+/**
+ * Build the diff report
+ * @returns {Promise<Object<string, Array>>} Changes keyed by spec name
+ */
+async function diffSpecs({ specs = [], base = 'HEAD', baseFile = null } = {}) {
+  const names = [...specs];
+  let baseSpecs;
+
+  if (baseFile) {
+    const name = names[0] || path.basename(baseFile, '.json');
+    names.splice(0, names.length, name);
+    const { 'x-generated-warning': _, ...spec } = JSON.parse(fs.readFileSync(baseFile, 'utf-8'));
+    baseSpecs = { [name]: spec };
+  } else {
+    const dir = checkoutSpecsAt(base);
+    try {
+      baseSpecs = await loadSpecsFromDir(dir, names);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  const currentSpecs = await loadSpecsFromDir(SPECS_DIR, names);
+  const report = {};
+
+  for (const name of new Set([...Object.keys(baseSpecs), ...Object.keys(currentSpecs)])) {
+    report[name] = diffSpec(baseSpecs[name], currentSpecs[name]);
+  }
+
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  diffSpecs(args)
+    .then((report) => {
+      if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printReport(report);
+      }
+
+      const hasBreaking = Object.values(report).flat().some(change => change.breaking);
+      process.exit(hasBreaking ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('❌ Spec diff failed:', error.message);
+      process.exit(2);
+    });
+}
+
+module.exports = { diffSpecs, diffSpec, compareSchemas };
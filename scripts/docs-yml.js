@@ -0,0 +1,198 @@
+const yaml = require('js-yaml');
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Edit docs.yml without reformatting it
+ *
+ * docs.yml is maintained by hand, and yaml.dump() drops its comments and
+ * restyles the whole file. updateDocsYml() instead compares the navigation
+ * list by list: items that are unchanged keep their original text (moved
+ * with it if they were reordered), and only new or edited items are dumped.
+ */
+
+const indentOf = line => line.match(/^ */)[0].length;
+const isContent = line => line.trim() !== '' && !line.trim().startsWith('#');
+
+/**
+ * Lines of `value` dumped as YAML, indented to start at `column`
+ */
+function dumpLines(value, column) {
+  return yaml.dump(value).trimEnd().split('\n').map(line => ' '.repeat(column) + line);
+}
+
+/**
+ * Locate the block sequence that is the value of the key on `keyLine`
+ * @param {string[]} lines
+ * @param {number} keyLine - Line holding `key:`
+ * @param {number} keyColumn - Column the key starts at
+ * @param {number} end - Line the enclosing block ends at
+ * @returns {{start: number, end: number, column: number, items: Array<{start: number, dash: number, end: number}>}|null}
+ *   Item spans include the comments above them; null when the value isn't a block sequence
+ */
+function blockSequence(lines, keyLine, keyColumn, end) {
+  if (!/:[ \t]*(#.*)?$/.test(lines[keyLine])) {
+    return null;
+  }
+
+  const dashes = [];
+  let column = null;
+  let seqEnd = end;
+  for (let i = keyLine + 1; i < end; i++) {
+    if (!isContent(lines[i])) {
+      continue;
+    }
+    const indent = indentOf(lines[i]);
+    const isItem = /^-( |$)/.test(lines[i].slice(indent));
+    if (column === null) {
+      if (!isItem || indent < keyColumn) {
+        return null;
+      }
+      column = indent;
+    }
+    if (indent < column || (indent === column && !isItem)) {
+      seqEnd = i;
+      break;
+    }
+    if (indent === column) {
+      dashes.push(i);
+    }
+  }
+  if (column === null) {
+    return null;
+  }
+
+  // Each item runs to its last content line; the comments after it lead into the next one
+  const lastContent = (from, to) => {
+    let last = from;
+    for (let i = from; i < to; i++) {
+      if (isContent(lines[i])) {
+        last = i;
+      }
+    }
+    return last + 1;
+  };
+  const items = dashes.map((dash, k) => ({ dash, end: lastContent(dash, dashes[k + 1] ?? seqEnd) }));
+  items.forEach((item, k) => {
+    item.start = k === 0 ? keyLine + 1 : items[k - 1].end;
+  });
+
+  return { start: keyLine + 1, end: seqEnd, column, items };
+}
+
+function withoutContents(item) {
+  const { contents, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Lines for a nav item whose fields are unchanged but whose `contents` differ
+ */
+function spliceItem(lines, span, column, previous, item) {
+  const keyColumn = column + 2;
+  let keyLine = -1;
+  for (let i = span.dash; i < span.end; i++) {
+    const text = i === span.dash ? lines[i].slice(keyColumn) : lines[i];
+    if ((i === span.dash || indentOf(text) === keyColumn) && /^contents:/.test(text.trim())) {
+      keyLine = i;
+      break;
+    }
+  }
+
+  if (keyLine === -1) {
+    // No contents yet: add them after the item's own fields
+    return [...lines.slice(span.start, span.end), ...dumpLines({ contents: item.contents }, keyColumn)];
+  }
+  if (keyLine === span.dash) {
+    return dumpLines([item], column);
+  }
+
+  if (Array.isArray(previous.contents) && Array.isArray(item.contents)) {
+    const seq = blockSequence(lines, keyLine, keyColumn, span.end);
+    const nested = seq && spliceList(lines, seq, previous.contents, item.contents);
+    if (nested) {
+      return [...lines.slice(span.start, seq.start), ...nested, ...lines.slice(seq.end, span.end)];
+    }
+  }
+
+  // Replace the whole contents block
+  let blockEnd = span.end;
+  for (let i = keyLine + 1; i < span.end; i++) {
+    if (isContent(lines[i]) && indentOf(lines[i]) <= keyColumn) {
+      blockEnd = i;
+      break;
+    }
+  }
+  return [
+    ...lines.slice(span.start, keyLine),
+    ...(item.contents === undefined ? [] : dumpLines({ contents: item.contents }, keyColumn)),
+    ...lines.slice(blockEnd, span.end),
+  ];
+}
+
+/**
+ * Lines for a nav list, reusing the original text of every item that survived
+ * @returns {string[]|null} null when the text doesn't line up with the parsed list
+ */
+function spliceList(lines, seq, previous, items) {
+  if (seq.items.length !== previous.length) {
+    return null;
+  }
+
+  const used = new Set();
+  const unused = (match) => previous.findIndex((old, k) => !used.has(k) && match(old));
+  const output = [];
+
+  for (const item of items) {
+    let k = unused(old => isDeepStrictEqual(old, item));
+    if (k !== -1) {
+      used.add(k);
+      output.push(...lines.slice(seq.items[k].start, seq.items[k].end));
+      continue;
+    }
+
+    const isEntry = value => value && typeof value === 'object' && !Array.isArray(value);
+    k = isEntry(item) ? unused(old => isEntry(old) && isDeepStrictEqual(withoutContents(old), withoutContents(item))) : -1;
+    if (k !== -1) {
+      used.add(k);
+      output.push(...spliceItem(lines, seq.items[k], seq.column, previous[k], item));
+      continue;
+    }
+
+    output.push(...dumpLines([item], seq.column));
+  }
+
+  const last = seq.items[seq.items.length - 1];
+  output.push(...lines.slice(last ? last.end : seq.start, seq.end));
+  return output;
+}
+
+/**
+ * docs.yml text for updated docs, keeping the original text of everything unchanged
+ * @param {string} text - Current docs.yml
+ * @param {object} docs - Parsed docs.yml after changes
+ * @returns {string} Falls back to a full yaml.dump() when the changes go beyond the navigation
+ */
+function updateDocsYml(text, docs) {
+  const original = yaml.load(text);
+  if (isDeepStrictEqual(original, docs)) {
+    return text;
+  }
+
+  const lines = text.split('\n');
+  const keyLine = lines.findIndex(line => /^navigation:/.test(line));
+  const { navigation: before, ...restBefore } = original || {};
+  const { navigation: after, ...restAfter } = docs;
+
+  const seq = keyLine !== -1 && Array.isArray(before) && Array.isArray(after) && isDeepStrictEqual(restBefore, restAfter)
+    ? blockSequence(lines, keyLine, 0, lines.length)
+    : null;
+  const spliced = seq && spliceList(lines, seq, before, after);
+  if (!spliced) {
+    return yaml.dump(docs);
+  }
+
+  const updated = [...lines.slice(0, seq.start), ...spliced, ...lines.slice(seq.end)].join('\n');
+  return isDeepStrictEqual(yaml.load(updated), docs) ? updated : yaml.dump(docs);
+}
+
+module.exports = { updateDocsYml };
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * MDX frontmatter: parsing, validation and docs.yml reconciliation
+ *
+ * Usage: node scripts/frontmatter.js [--write]
+ *
+ * Pages may start with a YAML block:
+ *
+ *   ---
+ *   title: Quickstart          # nav label, must match docs.yml `page:`
+ *   description: Make your first request
+ *   slug: quickstart           # lowercase letters, digits, - and /
+ *   order: 1                   # position within its section
+ *   hidden: false              # true keeps the page out of the nav
+ *   section: Getting Started   # nav section the page belongs to
+ *   ---
+ *
+ * Prints frontmatter errors, then the docs.yml changes that would bring the
+ * navigation in line with it: labels from `title`, entries moved to `section`,
+ * sorted by `order`, `hidden` pages removed and unlisted pages added. With
+ * --write, docs.yml is updated in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { updateDocsYml } = require('./docs-yml');
+const { walkNavigation } = require('./generate-method-pages');
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Allowed keys and the checks their values must pass
+const FRONTMATTER_SCHEMA = {
+  title: { type: 'string', nonEmpty: true },
+  description: { type: 'string' },
+  slug: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*(\/[a-z0-9][a-z0-9-]*)*$/ },
+  order: { type: 'number' },
+  hidden: { type: 'boolean' },
+  section: { type: 'string', nonEmpty: true },
+};
+
+/**
+ * Split an MDX source into frontmatter data and body
+ * @returns {{data: object, body: string, error: string|null}}
+ */
+function parseFrontmatter(source) {
+  const match = source.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: source, error: null };
+  }
+
+  const body = source.slice(match[0].length);
+  try {
+    const data = yaml.load(match[1]) ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, body, error: 'frontmatter must be a YAML mapping' };
+    }
+    return { data, body, error: null };
+  } catch (error) {
+    return { data: {}, body, error: `invalid YAML: ${error.reason || error.message}` };
+  }
+}
+
+/**
+ * Check frontmatter data against FRONTMATTER_SCHEMA
+ * @returns {string[]} Problems, e.g. `order must be a number`
+ */
+function validateFrontmatter(data) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    const rule = FRONTMATTER_SCHEMA[key];
+    if (!rule) {
+      problems.push(`unknown key "${key}" (allowed: ${Object.keys(FRONTMATTER_SCHEMA).join(', ')})`);
+      continue;
+    }
+    if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+      problems.push(`${key} must be a ${rule.type}`);
+    } else if (rule.nonEmpty && !value.trim()) {
+      problems.push(`${key} must not be empty`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push(`${key} "${value}" must match ${rule.pattern}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Text of the first `# ` heading in an MDX body, if any
+ */
+function firstHeading(body) {
+  const match = body.match(/^#[ \t]+(.+?)[ \t#]*$/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read a page's frontmatter
+ * @param {string} file - Path relative to the content root
+ * @returns {{data: object, heading: string|null, errors: string[]}}
+ */
+function readPage(file) {
+  const { data, body, error } = parseFrontmatter(fs.readFileSync(path.join(CONTENT_DIR, file), 'utf-8'));
+  return {
+    data,
+    heading: firstHeading(body),
+    errors: error ? [error] : validateFrontmatter(data),
+  };
+}
+
+/**
+ * Frontmatter problems and title mismatches for pages in the nav
+ * @param {object} docs - Parsed docs.yml
+ * @param {string[]} files - MDX files relative to the content root
+ * @returns {{errors: string[], warnings: string[], hidden: Set<string>}} `hidden`: files marked `hidden: true`
+ */
+function checkFrontmatter(docs, files) {
+  const errors = [];
+  const warnings = [];
+  const hidden = new Set();
+  const labels = new Map();
+
+  walkNavigation(docs.navigation, (item) => {
+    if (item && item.path) {
+      labels.set(item.path, item.page);
+    }
+  });
+
+  for (const file of files) {
+    const { data, heading, errors: problems } = readPage(file);
+    problems.forEach(problem => errors.push(`${file}: ${problem}`));
+    if (data.hidden === true) {
+      hidden.add(file);
+    }
+
+    const label = labels.get(file);
+    if (label === undefined) {
+      continue;
+    }
+    if (typeof data.title === 'string' && data.title !== label) {
+      warnings.push(`${file}: frontmatter title "${data.title}" differs from docs.yml page "${label}"`);
+    } else if (data.title === undefined && heading && heading !== label) {
+      warnings.push(`${file}: heading "${heading}" differs from docs.yml page "${label}"`);
+    }
+    if (data.hidden === true) {
+      warnings.push(`${file}: marked hidden but listed in docs.yml`);
+    }
+  }
+
+  return { errors, warnings, hidden };
+}
+
+/**
+ * Find a section by name anywhere in the nav, creating a top-level one if missing
+ */
+function findOrCreateSection(docs, name) {
+  let found = null;
+  walkNavigation(docs.navigation, (item) => {
+    if (!found && item.section === name) {
+      found = item;
+    }
+  });
+  if (!found) {
+    found = { section: name, contents: [] };
+    docs.navigation.push(found);
+  }
+  if (!Array.isArray(found.contents)) {
+    found.contents = [];
+  }
+  return found;
+}
+
+/**
+ * Bring docs.yml navigation in line with page frontmatter
+ * @param {object} docs - Parsed docs.yml, modified in place
+ * @param {string[]} files - MDX files relative to the content root
+ * @returns {string[]} Descriptions of the changes made
+ */
+function reconcileNavigation(docs, files) {
+  const changes = [];
+  const pages = new Map();
+  for (const file of files) {
+    const { data, errors } = readPage(file);
+    // Invalid frontmatter is reported by checkFrontmatter, not acted on
+    if (errors.length === 0 && Object.keys(data).length > 0) {
+      pages.set(file, data);
+    }
+  }
+
+  const listed = new Set();
+  const moves = [];
+
+  (function visit(items, parent) {
+    for (let i = items.length - 1; i >= 0; i--) {
+      const item = items[i];
+      if (!item || typeof item !== 'object') {
+        continue;
+      }
+      if (Array.isArray(item.contents)) {
+        visit(item.contents, item);
+      }
+
+      const data = item.path && pages.get(item.path);
+      if (!data) {
+        if (item.path) {
+          listed.add(item.path);
+        }
+        continue;
+      }
+
+      if (data.hidden === true) {
+        items.splice(i, 1);
+        changes.push(`- ${item.path} (hidden)`);
+        continue;
+      }
+      listed.add(item.path);
+
+      if (data.title && item.page !== data.title) {
+        changes.push(`~ ${item.path}: page "${item.page}" → "${data.title}"`);
+        item.page = data.title;
+      }
+      if (data.slug && item.slug !== data.slug) {
+        changes.push(`~ ${item.path}: slug ${item.slug || '(none)'} → ${data.slug}`);
+        item.slug = data.slug;
+      }
+      if (data.section && parent?.section !== data.section) {
+        items.splice(i, 1);
+        moves.push({ item, section: data.section });
+        changes.push(`→ ${item.path}: moved to section "${data.section}"`);
+      }
+    }
+  })(docs.navigation, null);
+
+  moves.reverse().forEach(({ item, section }) => {
+    findOrCreateSection(docs, section).contents.push(item);
+  });
+
+  // Pages that ask for a section but aren't in the nav yet
+  for (const [file, data] of pages) {
+    if (listed.has(file) || data.hidden === true || !data.section) {
+      continue;
+    }
+    const entry = { page: data.title || readPage(file).heading || path.basename(file, '.mdx'), path: file };
+    if (data.slug) {
+      entry.slug = data.slug;
+    }
+    findOrCreateSection(docs, data.section).contents.push(entry);
+    changes.push(`+ ${file}: added to section "${data.section}"`);
+  }
+
+  // Within any list that uses `order`, ordered pages come first; ties keep their position
+  const orderOf = entry => pages.get(entry?.path)?.order ?? Infinity;
+  const sortByOrder = (list, name) => {
+    if (!list.some(entry => orderOf(entry) !== Infinity)) {
+      return list;
+    }
+    const sorted = list
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => orderOf(a.entry) - orderOf(b.entry) || a.index - b.index)
+      .map(({ entry }) => entry);
+    if (sorted.some((entry, index) => entry !== list[index])) {
+      changes.push(`↕ ${name}: reordered by frontmatter order`);
+    }
+    return sorted;
+  };
+
+  docs.navigation = sortByOrder(docs.navigation, 'navigation');
+  walkNavigation(docs.navigation, (item) => {
+    if (Array.isArray(item.contents)) {
+      item.contents = sortByOrder(item.contents, item.section || item.page || item.api);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+  const { findMdxFiles } = require('./validate-docs');
+  const write = process.argv.includes('--write');
+
+  try {
+    const docsText = fs.readFileSync(DOCS_YML_PATH, 'utf-8');
+    const docs = yaml.load(docsText);
+    const files = findMdxFiles();
+
+    console.log('🔍 Checking MDX frontmatter...\n');
+    const { errors, warnings } = checkFrontmatter(docs, files);
+    warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+    errors.forEach(error => console.log(`  ❌ ${error}`));
+    if (errors.length + warnings.length > 0) {
+      console.log('');
+    }
+
+    const changes = reconcileNavigation(docs, files);
+    if (changes.length === 0) {
+      console.log('✅ docs.yml matches page frontmatter\n');
+    } else {
+      console.log('🧭 docs.yml changes from frontmatter:');
+      changes.forEach(change => console.log(`   ${change}`));
+      console.log('');
+      if (write) {
+        fs.writeFileSync(DOCS_YML_PATH, updateDocsYml(docsText, docs));
+        console.log('✅ Updated docs.yml\n');
+      } else {
+        console.log('ℹ️  Dry run. Re-run with --write to update docs.yml\n');
+      }
+    }
+
+    if (errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Frontmatter check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  FRONTMATTER_SCHEMA,
+  checkFrontmatter,
+  firstHeading,
+  parseFrontmatter,
+  reconcileNavigation,
+  validateFrontmatter,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { updateDocsYml } = require('./docs-yml');
+
+/**
+ * Per-method reference pages for generated OpenRPC specs
+ *
+ * Opt in from docs.yml by adding `pages` to an `api:` entry:
+ *
+ *   - api: Ethereum API
+ *     spec: alchemy/generated/eth.json
+ *     slug: ethereum-api         # the reference page is served at /docs/ethereum-api
+ *     pages:
+ *       dir: api-methods/eth     # where the MDX pages are written
+ *       group-by: prefix         # or `tag`
+ *
+ * Each generation rewrites the pages and replaces that entry's `contents`
+ * with a nav subtree grouping the methods; the rest of docs.yml is left as written.
+ */
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+
+const GENERATED_MARKER = '{/* Auto-generated from alchemy/specs/. Do not edit manually. */}';
+
+/**
+ * Visit every nav item in docs.yml
+ */
+function walkNavigation(items, visit) {
+  for (const item of items || []) {
+    visit(item);
+    if (Array.isArray(item.contents)) {
+      walkNavigation(item.contents, visit);
+    }
+  }
+}
+
+/**
+ * Find the docs.yml `api:` entry that points at a generated spec
+ */
+function findApiEntry(docs, specPath) {
+  let found = null;
+  walkNavigation(docs.navigation, (item) => {
+    if (item.api && item.spec === specPath) {
+      found = item;
+    }
+  });
+  return found;
+}
+
+/**
+ * Escape text for use inside MDX prose or table cells
+ *
+ * Code spans are literal in MDX, so they are left alone apart from the pipes
+ * a table cell needs escaped.
+ * @param {object} [options]
+ * @param {boolean} [options.table=false] - The text goes in a table cell
+ */
+function escapeMdx(text, { table = false } = {}) {
+  return String(text ?? '').replace(/(`+)[\s\S]*?[^`]\1(?!`)|[\\{}<>|]|\r?\n/g, (match) => {
+    if (match.startsWith('`')) {
+      return (table ? match.replace(/\|/g, '\\|') : match).replace(/\r?\n/g, ' ');
+    }
+    return /\n/.test(match) ? ' ' : `\\${match}`;
+  });
+}
+
+/**
+ * Inline code span, escaped like escapeMdx()
+ */
+function inlineCode(text, options) {
+  return escapeMdx(`\`${text}\``, options);
+}
+
+/**
+ * Short type label for a schema, e.g. `string`, `object`, `string | array`
+ */
+function typeLabel(schema) {
+  if (!schema) {
+    return 'any';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return [...new Set((schema.oneOf || schema.anyOf).map(typeLabel))].join(' | ');
+  }
+  if (schema.type === 'array') {
+    return `${typeLabel(schema.items)}[]`;
+  }
+  if (Array.isArray(schema.type)) {
+    return schema.type.join(' | ');
+  }
+  return schema.type || schema.title || 'any';
+}
+
+function jsonBlock(value) {
+  return ['```json', JSON.stringify(value, null, 2), '```'].join('\n');
+}
+
+/**
+ * Render the MDX page for one method
+ */
+function renderMethodPage(method) {
+  const lines = [GENERATED_MARKER, '', `# ${method.name}`, ''];
+
+  if (method.summary) {
+    lines.push(escapeMdx(method.summary), '');
+  }
+  if (method.description) {
+    lines.push(escapeMdx(method.description), '');
+  }
+
+  lines.push('## Parameters', '');
+  const params = method.params || [];
+  if (params.length === 0) {
+    lines.push('This method takes no parameters.', '');
+  } else {
+    lines.push('| Name | Type | Required | Description |', '| --- | --- | --- | --- |');
+    params.forEach((param) => {
+      const cell = { table: true };
+      lines.push(`| ${inlineCode(param.name, cell)} | ${inlineCode(typeLabel(param.schema), cell)} | ${param.required ? 'Yes' : 'No'} | ${escapeMdx(param.description, cell)} |`);
+    });
+    lines.push('');
+  }
+
+  if (method.result) {
+    lines.push('## Result', '');
+    lines.push(`${inlineCode(method.result.name)} (${inlineCode(typeLabel(method.result.schema))})${method.result.description ? ` — ${escapeMdx(method.result.description)}` : ''}`, '');
+    lines.push(jsonBlock(method.result.schema), '');
+  }
+
+  const example = (method.examples || []).find(pairing => pairing['x-request']);
+  if (example) {
+    lines.push('## Example', '', '### Request', '', jsonBlock(example['x-request']), '');
+    if (example['x-response']) {
+      lines.push('### Response', '', jsonBlock(example['x-response']), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Nav group name for a method
+ */
+function groupFor(method, groupBy) {
+  if (groupBy === 'tag') {
+    return method.tags?.[0]?.name || 'Other';
+  }
+  const underscore = method.name.indexOf('_');
+  return underscore > 0 ? method.name.slice(0, underscore) : 'Other';
+}
+
+/**
+ * The `pages` option of a spec's docs.yml entry, or null when it has none
+ */
+function getPagesConfig(fileName) {
+  if (!fs.existsSync(DOCS_YML_PATH)) {
+    return null;
+  }
+  const docs = yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8'));
+  return findApiEntry(docs, `alchemy/generated/${fileName}.json`)?.pages || null;
+}
+
+/**
+ * Whether every method page of a generated spec is on disk exactly as it would be written
+ * @returns {boolean} Always true when the spec has no `pages` entry
+ */
+function methodPagesCurrent(fileName, spec) {
+  const pages = getPagesConfig(fileName);
+  if (!pages?.dir) {
+    return true;
+  }
+  return (spec.methods || []).every((method) => {
+    const outputPath = path.join(CONTENT_DIR, pages.dir, `${method.name}.mdx`);
+    return fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf-8') === renderMethodPage(method);
+  });
+}
+
+/**
+ * Write method pages for a generated spec and splice its nav subtree into docs.yml
+ * @param {string} fileName - Spec name, e.g. `eth`
+ * @param {object} spec - Generated spec
+ * @returns {number|null} Number of pages written, or null when the spec has no `pages` entry
+ */
+function generateMethodPages(fileName, spec) {
+  if (!fs.existsSync(DOCS_YML_PATH)) {
+    return null;
+  }
+
+  const docsText = fs.readFileSync(DOCS_YML_PATH, 'utf-8');
+  const docs = yaml.load(docsText);
+  const entry = findApiEntry(docs, `alchemy/generated/${fileName}.json`);
+  if (!entry?.pages) {
+    return null;
+  }
+
+  const pagesDir = entry.pages.dir;
+  const groupBy = entry.pages['group-by'] || 'prefix';
+  if (!pagesDir) {
+    throw new Error(`docs.yml pages entry for ${fileName} is missing a dir`);
+  }
+  if (!['prefix', 'tag'].includes(groupBy)) {
+    throw new Error(`docs.yml pages entry for ${fileName} has unknown group-by "${groupBy}"`);
+  }
+
+  const outputDir = path.join(CONTENT_DIR, pagesDir);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const written = new Set();
+  const groups = new Map();
+
+  for (const method of spec.methods || []) {
+    const fileNameForMethod = `${method.name}.mdx`;
+    const pagePath = path.posix.join(pagesDir, fileNameForMethod);
+    const content = renderMethodPage(method);
+    const outputPath = path.join(outputDir, fileNameForMethod);
+
+    if (!fs.existsSync(outputPath) || fs.readFileSync(outputPath, 'utf-8') !== content) {
+      fs.writeFileSync(outputPath, content);
+    }
+    written.add(fileNameForMethod);
+
+    const group = groupFor(method, groupBy);
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push({ page: method.name, path: pagePath });
+  }
+
+  // Remove pages for methods that no longer exist (only ones we generated)
+  for (const file of fs.readdirSync(outputDir)) {
+    const filePath = path.join(outputDir, file);
+    if (file.endsWith('.mdx') && !written.has(file) &&
+        fs.readFileSync(filePath, 'utf-8').startsWith(GENERATED_MARKER)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  entry.contents = [...groups.keys()].sort().map(group => ({
+    section: group,
+    contents: groups.get(group),
+  }));
+
+  const updated = updateDocsYml(docsText, docs);
+  if (updated !== docsText) {
+    fs.writeFileSync(DOCS_YML_PATH, updated);
+  }
+
+  return written.size;
+}
+
+module.exports = { generateMethodPages, getPagesConfig, methodPagesCurrent, renderMethodPage, walkNavigation };
@@ -1,34 +1,68 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const $RefParser = require('@apidevtools/json-schema-ref-parser');
 const mergeAllOf = require('json-schema-merge-allof');
+const { validateSpec, formatValidationErrors } = require('./validate-specs');
+const { addMethodExamples } = require('./spec-examples');
+const { loadSpecSource } = require('./spec-extends');
+const { findDependentSpecs, hashInputs } = require('./spec-graph');
+const { generateMethodPages, getPagesConfig, methodPagesCurrent } = require('./generate-method-pages');
 
 const SPECS_DIR = path.join(__dirname, '..', 'alchemy', 'specs');
 const OUTPUT_DIR = path.join(__dirname, '..', 'alchemy', 'generated');
+const CACHE_PATH = path.join(__dirname, '..', 'node_modules', '.cache', 'generate-specs.json');
+
+// The generator's own sources are build inputs too: editing them invalidates the cache
+const GENERATOR_FILES = [
+  'generate-specs.js',
+  'generate-method-pages.js',
+  'spec-examples.js',
+  'spec-extends.js',
+  'spec-graph.js',
+  'validate-specs.js',
+].map(file => path.join(__dirname, file));
 
 /**
  * Dereference a spec file (resolve all $ref pointers)
+ * @param {string} filePath - Path to the spec YAML
+ * @param {object} [options]
+ * @param {boolean} [options.circular=true] - Keep recursive schemas under components.schemas
+ *   and reference them locally; when false, any circular $ref fails the spec
+ * @param {boolean} [options.quiet=false] - Suppress progress output
  */
-async function dereferenceSpec(filePath) {
+async function dereferenceSpec(filePath, { circular = true, quiet = false } = {}) {
   const startTime = Date.now();
   const fileName = path.basename(filePath, path.extname(filePath));
+  const log = quiet ? () => {} : console.log;
 
-  console.log(`🔄 Processing ${fileName}...`);
+  log(`🔄 Processing ${fileName}...`);
 
   try {
-    // Dereference all $ref pointers
-    const dereferenced = await $RefParser.dereference(filePath, {
+    // Remember which $ref each dereferenced value came from, to name hoisted cycles
+    const refNames = new Map();
+
+    // Apply x-extends, then dereference all $ref pointers relative to this file
+    const { doc } = loadSpecSource(filePath);
+    const dereferenced = await $RefParser.dereference(filePath, doc, {
       dereference: {
-        circular: false, // Don't allow circular refs
+        circular,
+        onDereference: (refPath, value) => {
+          if (!refNames.has(value)) {
+            refNames.set(value, refPath);
+          }
+        },
       },
     });
 
-    // Merge allOf schemas for cleaner output
-    const merged = mergeAllOfSchemas(dereferenced);
+    // Break cycles into local $refs, then merge allOf schemas for cleaner output
+    const { spec: acyclic, schemas: circularSchemas } = hoistCircularSchemas(dereferenced, refNames);
+    const merged = mergeAllOfSchemas(acyclic);
 
-    // Remove components section (no longer needed after dereferencing)
-    if (merged.components) {
-      delete merged.components;
+    // Only recursive schemas need a components section after dereferencing
+    if (Object.keys(circularSchemas).length > 0) {
+      merged.components = { schemas: mergeAllOfSchemas(circularSchemas) };
+      log(`  🔁 Circular schemas: ${Object.keys(circularSchemas).join(', ')}`);
     }
 
     // Sort methods alphabetically
@@ -37,8 +71,8 @@ async function dereferenceSpec(filePath) {
     }
 
     const duration = Date.now() - startTime;
-    console.log(`  ✅ Dereferenced in ${duration}ms`);
-    console.log(`  📊 Methods: ${merged.methods?.length || 0}`);
+    log(`  ✅ Dereferenced in ${duration}ms`);
+    log(`  📊 Methods: ${merged.methods?.length || 0}`);
 
     return {
       spec: merged,
@@ -51,6 +85,80 @@ async function dereferenceSpec(filePath) {
   }
 }
 
+/**
+ * Copy a circularly dereferenced spec into a plain tree.
+ * Everything is inlined except the edges that close a cycle, which become
+ * `#/components/schemas/<name>` refs to a single hoisted copy of the target.
+ * @param {object} spec - Dereferenced spec (may contain object cycles)
+ * @param {Map<object, string>} refNames - Dereferenced value -> original $ref path
+ * @returns {{spec: object, schemas: object}} Acyclic spec (without components) and hoisted schemas
+ */
+function hoistCircularSchemas(spec, refNames) {
+  const hoisted = new Map();
+  const usedNames = new Set();
+
+  function nameFor(node) {
+    if (hoisted.has(node)) {
+      return hoisted.get(node);
+    }
+
+    const refPath = refNames.get(node);
+    const base = ((refPath && refPath.split('/').pop()) || node.title || 'schema')
+      .replace(/[^A-Za-z0-9_.-]/g, '');
+
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = `${base}${i}`;
+    }
+
+    usedNames.add(name);
+    hoisted.set(node, name);
+    return name;
+  }
+
+  function copy(node, ancestors) {
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    if (ancestors.has(node)) {
+      return { $ref: `#/components/schemas/${nameFor(node)}` };
+    }
+
+    ancestors.add(node);
+    const result = copyChildren(node, ancestors);
+    ancestors.delete(node);
+    return result;
+  }
+
+  function copyChildren(node, ancestors) {
+    if (Array.isArray(node)) {
+      return node.map(item => copy(item, ancestors));
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = copy(value, ancestors);
+    }
+    return result;
+  }
+
+  // Source components are fully inlined; only hoisted cycles are kept
+  const { components, ...rest } = spec;
+  const output = copy(rest, new Set());
+
+  // Copying a hoisted schema can discover further cycles, so repeat until stable
+  const schemas = {};
+  let pending;
+  while ((pending = [...hoisted].filter(([, name]) => !(name in schemas))).length > 0) {
+    for (const [node, name] of pending) {
+      schemas[name] = copyChildren(node, new Set([node]));
+    }
+  }
+
+  return { spec: output, schemas };
+}
+
 /**
  * Recursively merge allOf schemas in an object
  */
@@ -84,71 +192,125 @@ function mergeAllOfSchemas(obj) {
 }
 
 /**
- * Write spec to output directory
+ * Serialize a spec the way it is written to alchemy/generated/
  */
-function writeSpec(fileName, spec) {
-  const outputPath = path.join(OUTPUT_DIR, `${fileName}.json`);
-
+function serializeSpec(spec) {
   // Add warning header
   const output = {
     'x-generated-warning': '⚠️ This file is auto-generated from alchemy/specs/. Do not edit manually.',
     ...spec,
   };
 
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+  return JSON.stringify(output, null, 2);
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Write spec to output directory
+ * @returns {string} Hash of the written content
+ */
+function writeSpec(fileName, spec) {
+  const outputPath = path.join(OUTPUT_DIR, `${fileName}.json`);
+  const content = serializeSpec(spec);
+
+  // Leave identical output untouched so watchers and uploads don't see a change
+  if (fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf-8') === content) {
+    console.log(`  💤 ${fileName}.json unchanged\n`);
+    return sha256(content);
+  }
+
+  fs.writeFileSync(outputPath, content);
 
   const sizeKB = (fs.statSync(outputPath).size / 1024).toFixed(2);
   console.log(`  💾 Written to ${fileName}.json (${sizeKB} KB)\n`);
+  return sha256(content);
+}
+
+/**
+ * Build cache: spec name -> { inputHash, outputHash, methods }
+ */
+function loadCache() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveCache(cache) {
+  fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+  fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Resolve a changed path (absolute, relative to cwd, or a bare file name) to a spec source
+ */
+function resolveSourcePath(file) {
+  if (path.isAbsolute(file)) {
+    return file;
+  }
+  const fromCwd = path.resolve(file);
+  if (fromCwd.startsWith(SPECS_DIR + path.sep)) {
+    return fromCwd;
+  }
+  return path.join(SPECS_DIR, file);
+}
+
+/**
+ * List top-level spec files (shared `_` files are only referenced, never generated)
+ * @param {string} [dir] - Directory holding the spec sources
+ */
+function findSpecFiles(dir = SPECS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => (file.endsWith('.yaml') || file.endsWith('.yml')) && !file.startsWith('_'))
+    .map(file => path.join(dir, file));
 }
 
 /**
  * Main generation function
- * @param {string} [specificFile] - Optional: path to specific file to regenerate
+ * @param {string} [specificFile] - Optional: path to a changed spec or shared component;
+ *   only specs that depend on it are regenerated
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Ignore the build cache
+ * @returns {Promise<{results: Array, failed: Array<{file: string, errors: string[]}>, cached: string[]}>}
  */
-async function generateSpecs(specificFile = null) {
+async function generateSpecs(specificFile = null, { force = false } = {}) {
   // Create output directory if it doesn't exist
   if (!fs.existsSync(OUTPUT_DIR)) {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
   }
 
   let specFiles;
-  let isIncrementalBuild = false;
 
   if (specificFile) {
-    // Incremental: Only process the specific file
-    const fileName = path.basename(specificFile);
-
-    // Check if it's a shared component file
-    if (fileName.startsWith('_') || specificFile.includes('_components')) {
-      console.log('🔄 Shared component changed, regenerating all specs...\n');
-      // Fall through to full build
-    } else {
-      const fullPath = path.isAbsolute(specificFile)
-        ? specificFile
-        : path.join(SPECS_DIR, fileName);
+    // Incremental: only process specs that depend on the changed file
+    const fullPath = resolveSourcePath(specificFile);
+    const fileName = path.basename(fullPath);
 
+    specFiles = findDependentSpecs(fullPath, findSpecFiles());
+
+    if (specFiles.length === 0) {
       if (!fs.existsSync(fullPath)) {
         console.error(`❌ File not found: ${fullPath}\n`);
-        return;
+      } else {
+        console.log(`⚠️  No specs depend on ${fileName}\n`);
       }
-
-      specFiles = [fullPath];
-      isIncrementalBuild = true;
-      console.log(`🔧 Regenerating ${fileName}...\n`);
+      return { results: [], failed: [], cached: [] };
     }
-  }
 
-  if (!isIncrementalBuild) {
+    console.log(`🔧 ${fileName} changed, regenerating ${specFiles.map(file => path.basename(file)).join(', ')}...\n`);
+  } else {
     // Full build: Process all specs
     console.log('🚀 Generating OpenRPC specs...\n');
 
-    specFiles = fs.readdirSync(SPECS_DIR)
-      .filter(file => (file.endsWith('.yaml') || file.endsWith('.yml')) && !file.startsWith('_'))
-      .map(file => path.join(SPECS_DIR, file));
+    specFiles = findSpecFiles();
 
     if (specFiles.length === 0) {
       console.log('⚠️  No spec files found in alchemy/specs/\n');
-      return;
+      return { results: [], failed: [], cached: [] };
     }
 
     console.log(`📋 Found ${specFiles.length} spec file(s)\n`);
@@ -156,45 +318,116 @@ async function generateSpecs(specificFile = null) {
 
   const totalStart = Date.now();
   const results = [];
+  const failed = [];
+  const cached = [];
+  const cache = loadCache();
+  const generatorInputs = GENERATOR_FILES.map(file => fs.readFileSync(file, 'utf-8'));
 
   // Process specs in parallel
   const promises = specFiles.map(async (file) => {
+    const sourceName = path.basename(file);
+    const specName = path.basename(file, path.extname(file));
     try {
+      const inputHash = hashInputs(file, [
+        ...generatorInputs,
+        JSON.stringify(getPagesConfig(specName)),
+      ]);
+
+      // Skip specs whose inputs, output and method pages are exactly as last built
+      const entry = cache[specName];
+      const outputPath = path.join(OUTPUT_DIR, `${specName}.json`);
+      const output = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf-8') : null;
+      // Entries written before method counts were cached miss once, so the summary stays right
+      if (!force && entry?.inputHash === inputHash && entry.methods !== undefined &&
+          output !== null && sha256(output) === entry.outputHash) {
+        if (methodPagesCurrent(specName, JSON.parse(output))) {
+          console.log(`⚡ ${sourceName} unchanged, using cached output\n`);
+          cached.push(specName);
+          return null;
+        }
+        console.log(`🔧 ${sourceName} unchanged but its method pages were edited or removed, regenerating\n`);
+      }
+
       const result = await dereferenceSpec(file);
+
+      // Give every method a copyable request/response pairing
+      const synthesized = addMethodExamples(result.spec);
+      if (synthesized > 0) {
+        console.log(`  🧪 Synthesized examples for ${synthesized} method(s)`);
+      }
+
+      // Validate against the OpenRPC meta-schema before writing anything
+      const errors = formatValidationErrors(sourceName, validateSpec(result.spec));
+      if (errors.length > 0) {
+        console.error(`  ❌ ${sourceName} is not a valid OpenRPC document:`);
+        errors.forEach(error => console.error(`     ${error}`));
+        console.error('');
+        failed.push({ file: sourceName, errors });
+        delete cache[specName];
+        return null;
+      }
+
       results.push(result);
-      writeSpec(result.fileName, result.spec);
+      const outputHash = writeSpec(result.fileName, result.spec);
+
+      // Opt-in per-method pages, configured on the spec's docs.yml entry
+      const pageCount = generateMethodPages(result.fileName, result.spec);
+      if (pageCount !== null) {
+        console.log(`  📝 Wrote ${pageCount} method page(s) for ${result.fileName}\n`);
+      }
+
+      cache[specName] = { inputHash, outputHash, methods: result.spec.methods?.length || 0 };
       return result;
     } catch (error) {
-      console.error(`Failed to process ${path.basename(file)}: ${error.message}\n`);
+      console.error(`Failed to process ${sourceName}: ${error.message}\n`);
+      failed.push({ file: sourceName, errors: [`${sourceName}: ${error.message}`] });
+      delete cache[specName];
       return null;
     }
   });
 
   await Promise.all(promises);
+  saveCache(cache);
 
   const totalDuration = Date.now() - totalStart;
-  const successful = results.filter(r => r !== null).length;
-  const totalMethods = results.reduce((sum, r) => sum + (r?.spec?.methods?.length || 0), 0);
+  const successful = results.length;
+  const totalMethods = results.reduce((sum, r) => sum + (r?.spec?.methods?.length || 0), 0) +
+    cached.reduce((sum, specName) => sum + (cache[specName].methods || 0), 0);
 
   console.log('═══════════════════════════════════════════');
   console.log(`✨ Generation complete in ${totalDuration}ms`);
-  console.log(`   Processed: ${successful}/${specFiles.length} specs`);
+  console.log(`   Processed: ${successful + cached.length}/${specFiles.length} specs`);
+  console.log(`   Cache hits: ${cached.length}${cached.length > 0 ? ` (${cached.join(', ')})` : ''}`);
   console.log(`   Total methods: ${totalMethods}`);
+  if (failed.length > 0) {
+    console.log(`   Failed: ${failed.map(f => f.file).join(', ')}`);
+  }
   if (successful > 1) {
     console.log(`   Average time: ${(totalDuration / successful).toFixed(0)}ms per spec`);
   }
   console.log('═══════════════════════════════════════════\n');
+
+  return { results, failed, cached };
 }
 
 // Run if called directly
 if (require.main === module) {
-  // Get optional file path from command line args
-  const specificFile = process.argv[2];
-
-  generateSpecs(specificFile).catch((error) => {
-    console.error('Generation failed:', error);
-    process.exit(1);
-  });
+  // Get optional file path and flags from command line args
+  const args = process.argv.slice(2);
+  const specificFile = args.find(arg => !arg.startsWith('--'));
+  const force = args.includes('--force');
+
+  generateSpecs(specificFile, { force })
+    .then(({ failed }) => {
+      // Invalid specs must fail the build
+      if (failed.length > 0) {
+        process.exit(1);
+      }
+    })
+    .catch((error) => {
+      console.error('Generation failed:', error);
+      process.exit(1);
+    });
 }
 
-module.exports = { generateSpecs };
+module.exports = { generateSpecs, dereferenceSpec, findSpecFiles, SPECS_DIR, OUTPUT_DIR };
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SPECS_DIR = path.join(__dirname, '..', 'alchemy', 'specs');
+const CONFIG_PATH = path.join(__dirname, '..', 'alchemy', 'spec-lint.yml');
+
+const SEVERITIES = ['error', 'warn', 'off'];
+
+/**
+ * Load a YAML file relative to the specs directory
+ */
+function loadYaml(relativePath) {
+  return yaml.load(fs.readFileSync(path.join(SPECS_DIR, relativePath), 'utf-8'));
+}
+
+/**
+ * Resolve a `#/...` ref within the same document
+ */
+function resolveLocalRef(doc, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return undefined;
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, segment) => (node == null ? undefined : node[segment]), doc);
+}
+
+/**
+ * Check a value against the subset of JSON Schema that examples are expected to honour
+ * (type, pattern, enum, and the oneOf/anyOf/allOf combinators)
+ */
+function matchesSchema(value, schema, doc) {
+  if (!schema || typeof schema !== 'object') {
+    return true;
+  }
+
+  if (schema.$ref) {
+    const target = resolveLocalRef(doc, schema.$ref);
+    // External refs are checked where they are defined
+    return target ? matchesSchema(value, target, doc) : true;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return false;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const typeMatches = types.some(type =>
+      type === actual || (type === 'integer' && Number.isInteger(value))
+    );
+    if (!typeMatches) {
+      return false;
+    }
+  }
+
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    return false;
+  }
+
+  if (schema.oneOf && !schema.oneOf.some(branch => matchesSchema(value, branch, doc))) {
+    return false;
+  }
+  if (schema.anyOf && !schema.anyOf.some(branch => matchesSchema(value, branch, doc))) {
+    return false;
+  }
+  if (schema.allOf && !schema.allOf.every(branch => matchesSchema(value, branch, doc))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find method names declared in a spec file
+ */
+function methodsOf(doc) {
+  return Array.isArray(doc?.methods) ? doc.methods : [];
+}
+
+/**
+ * Lint rules. Each receives the parsed document and a report(pointer, message) callback.
+ */
+const RULES = {
+  'method-summary': (doc, report) => {
+    methodsOf(doc).forEach((method, i) => {
+      if (!method.summary) {
+        report(`/methods/${i}`, `Method ${method.name} has no summary`);
+      }
+    });
+  },
+
+  'method-description': (doc, report) => {
+    methodsOf(doc).forEach((method, i) => {
+      if (!method.description) {
+        report(`/methods/${i}`, `Method ${method.name} has no description`);
+      }
+    });
+  },
+
+  'param-description': (doc, report) => {
+    methodsOf(doc).forEach((method, i) => {
+      (method.params || []).forEach((param, j) => {
+        if (!param.$ref && !param.description) {
+          report(`/methods/${i}/params/${j}`, `Param ${param.name} of ${method.name} has no description`);
+        }
+      });
+    });
+  },
+
+  'unique-method-names': (doc, report) => {
+    const seen = new Map();
+    methodsOf(doc).forEach((method, i) => {
+      if (seen.has(method.name)) {
+        report(`/methods/${i}`, `Method ${method.name} is already declared at /methods/${seen.get(method.name)}`);
+      } else {
+        seen.set(method.name, i);
+      }
+    });
+  },
+
+  'example-matches-schema': (doc, report) => {
+    function walk(node, pointer) {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      if (!Array.isArray(node) && 'example' in node && !matchesSchema(node.example, node, doc)) {
+        report(pointer, `Example ${JSON.stringify(node.example)} does not match its schema`);
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        walk(value, `${pointer}/${key}`);
+      }
+    }
+    walk(doc, '');
+  },
+
+  'param-description-parity': (doc, report, { file, against }) => {
+    if (!against || file === against) {
+      return;
+    }
+
+    const reference = new Map(methodsOf(loadYaml(against)).map(method => [method.name, method]));
+
+    methodsOf(doc).forEach((method, i) => {
+      const referenceMethod = reference.get(method.name);
+      if (!referenceMethod) {
+        return;
+      }
+
+      (method.params || []).forEach((param, j) => {
+        const referenceParam = (referenceMethod.params || []).find(p => p.name === param.name);
+        if (referenceParam?.description && !param.description) {
+          report(
+            `/methods/${i}/params/${j}`,
+            `Param ${param.name} of ${method.name} is missing the description ${against} has`
+          );
+        }
+      });
+    });
+  },
+};
+
+/**
+ * Load spec-lint.yml
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    return { rules: {}, specs: {} };
+  }
+  const config = yaml.load(fs.readFileSync(CONFIG_PATH, 'utf-8')) || {};
+  return { rules: config.rules || {}, specs: config.specs || {} };
+}
+
+/**
+ * Rule settings are either a severity string or an options object with a severity
+ */
+function normalizeSetting(setting) {
+  if (setting == null) {
+    return {};
+  }
+  return typeof setting === 'string' ? { severity: setting } : setting;
+}
+
+/**
+ * Resolve the effective rule settings for one spec file
+ * @returns {Object<string, {severity: string}>}
+ */
+function rulesFor(config, file) {
+  const merged = { ...config.rules, ...(config.specs[file]?.rules || {}) };
+  const resolved = {};
+
+  for (const [name, setting] of Object.entries(merged)) {
+    if (!RULES[name]) {
+      throw new Error(`Unknown spec lint rule "${name}" in spec-lint.yml`);
+    }
+
+    // Per-spec overrides keep the rule's global options unless they replace them
+    const options = { ...normalizeSetting(config.rules[name]), ...normalizeSetting(setting) };
+
+    if (!SEVERITIES.includes(options.severity)) {
+      throw new Error(`Invalid severity "${options.severity}" for rule "${name}"`);
+    }
+
+    resolved[name] = options;
+  }
+
+  return resolved;
+}
+
+/**
+ * List every YAML file under alchemy/specs, relative to it
+ */
+function listSpecSources(dir = SPECS_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listSpecSources(fullPath);
+    }
+    return entry.name.endsWith('.yaml') || entry.name.endsWith('.yml')
+      ? [path.relative(SPECS_DIR, fullPath)]
+      : [];
+  });
+}
+
+/**
+ * Lint spec sources
+ * @param {string} [specificFile] - Optional: only lint this file (path or name under alchemy/specs)
+ * @returns {{problems: Array<{file, pointer, rule, severity, message}>, errorCount: number, warningCount: number}}
+ */
+function lintSpecs(specificFile = null) {
+  const config = loadConfig();
+  const files = specificFile
+    ? [path.relative(SPECS_DIR, path.resolve(SPECS_DIR, specificFile.replace(/^alchemy[\/\\]specs[\/\\]/, '')))]
+    : listSpecSources();
+
+  const problems = [];
+
+  for (const file of files) {
+    let doc;
+    try {
+      doc = loadYaml(file);
+    } catch (error) {
+      problems.push({ file, pointer: '', rule: 'parse', severity: 'error', message: error.message });
+      continue;
+    }
+
+    for (const [rule, options] of Object.entries(rulesFor(config, file))) {
+      if (options.severity === 'off') {
+        continue;
+      }
+
+      RULES[rule](doc, (pointer, message) => {
+        problems.push({ file, pointer, rule, severity: options.severity, message });
+      }, { ...options, file });
+    }
+  }
+
+  return {
+    problems,
+    errorCount: problems.filter(p => p.severity === 'error').length,
+    warningCount: problems.filter(p => p.severity === 'warn').length,
+  };
+}
+
+/**
+ * Print lint problems grouped by file
+ */
+function printLintResults({ problems, errorCount, warningCount }) {
+  const byFile = new Map();
+  problems.forEach((problem) => {
+    if (!byFile.has(problem.file)) {
+      byFile.set(problem.file, []);
+    }
+    byFile.get(problem.file).push(problem);
+  });
+
+  for (const [file, fileProblems] of byFile) {
+    console.log(`📄 ${file}`);
+    fileProblems.forEach(({ pointer, rule, severity, message }) => {
+      const icon = severity === 'error' ? '❌' : '⚠️ ';
+      console.log(`  ${icon} #${pointer} ${message} (${rule})`);
+    });
+    console.log('');
+  }
+
+  if (errorCount === 0 && warningCount === 0) {
+    console.log('✅ Spec lint passed\n');
+  } else {
+    console.log(`${errorCount > 0 ? '❌' : '⚠️ '} ${errorCount} error(s), ${warningCount} warning(s)\n`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const specificFile = process.argv[2];
+
+  try {
+    const result = lintSpecs(specificFile);
+    printLintResults(result);
+    if (result.errorCount > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Spec lint failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { lintSpecs, printLintResults, matchesSchema };
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for the docs site's /api/revalidate endpoint and an Alchemy node
+ *
+ * Usage: node scripts/mock-site.js [--port 3000]
+ *
+ * Checks the bearer token against REVALIDATE_SECRET (default: dev-secret),
+ * answers like the real endpoint and records every request. Point
+ * DOCS_SITE_URL (or NEXT_APP_URL for revalidate.js) at it to run watch,
+ * upload and revalidate flows without the Next.js app.
+ *
+ *   GET    /api/revalidate   Recorded requests as JSON
+ *   DELETE /api/revalidate   Clear recorded requests
+ *   POST   /v2/<api-key>     JSON-RPC, answered with the example results of
+ *                            the generated specs (single or batch requests)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { walkNavigation } = require('./generate-method-pages');
+
+const DOCS_YML_PATH = path.join(__dirname, '..', 'docs.yml');
+const GENERATED_DIR = path.join(__dirname, '..', 'alchemy', 'generated');
+
+/**
+ * Number of pages docs.yml publishes, which is what revalidateAll refreshes
+ */
+function countPages() {
+  if (!fs.existsSync(DOCS_YML_PATH)) {
+    return 0;
+  }
+  let pages = 0;
+  walkNavigation(yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8')).navigation, (item) => {
+    if (item.path) {
+      pages++;
+    }
+  });
+  return pages;
+}
+
+/**
+ * Example result of every method in the generated specs, read fresh so
+ * regenerated specs are picked up
+ * @returns {Map<string, *>} Method name -> result
+ */
+function loadExampleResults() {
+  const results = new Map();
+  if (!fs.existsSync(GENERATED_DIR)) {
+    return results;
+  }
+  for (const file of fs.readdirSync(GENERATED_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const spec = JSON.parse(fs.readFileSync(path.join(GENERATED_DIR, file), 'utf-8'));
+    for (const method of spec.methods || []) {
+      const example = (method.examples || []).find(e => e.result);
+      if (example && !results.has(method.name)) {
+        results.set(method.name, example.result.value);
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * JSON-RPC response for one call
+ */
+function answerRpc(call, results) {
+  const id = call && call.id !== undefined ? call.id : null;
+  if (!call || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+    return { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid Request' } };
+  }
+  if (!results.has(call.method)) {
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${call.method}` } };
+  }
+  return { jsonrpc: '2.0', id, result: results.get(call.method) };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the mock site server (not yet listening)
+ * @param {object} [options]
+ * @param {string} [options.secret] - Bearer token to accept
+ * @param {boolean} [options.quiet] - Don't log requests
+ * @returns {{server: http.Server, requests: object[]}}
+ */
+function createMockSite({ secret = process.env.REVALIDATE_SECRET || 'dev-secret', quiet = false } = {}) {
+  // Every accepted or rejected revalidation, oldest first
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'POST' && /^\/v2\/[^/]+$/.test(req.url)) {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch {
+        return send(res, 200, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+      const results = loadExampleResults();
+      return send(res, 200, Array.isArray(body) ? body.map(call => answerRpc(call, results)) : answerRpc(body, results));
+    }
+
+    if (req.url !== '/api/revalidate') {
+      return send(res, 404, { error: `No route for ${req.method} ${req.url}` });
+    }
+
+    if (req.method === 'GET') {
+      return send(res, 200, requests);
+    }
+    if (req.method === 'DELETE') {
+      requests.length = 0;
+      return send(res, 200, { cleared: true });
+    }
+    if (req.method !== 'POST') {
+      return send(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+
+    const record = {
+      receivedAt: new Date().toISOString(),
+      authorized: req.headers.authorization === `Bearer ${secret}`,
+      body: null,
+    };
+    requests.push(record);
+
+    if (!record.authorized) {
+      if (!quiet) {
+        console.log(`🚫 Rejected revalidation: bad or missing bearer token`);
+      }
+      return send(res, 401, { error: 'Invalid token' });
+    }
+
+    try {
+      record.body = JSON.parse(await readBody(req));
+    } catch {
+      return send(res, 400, { error: 'Body must be JSON' });
+    }
+
+    const { branch, revalidateAll, filePath, filePaths, paths: routes, removedPaths = [] } = record.body;
+    if (!branch) {
+      return send(res, 400, { error: 'branch is required' });
+    }
+
+    // Page routes (revalidate.js, spec consumers in watch) and content files (watch, sync)
+    const paths = [...(routes || []), ...(filePaths || (filePath ? [filePath] : []))];
+    const revalidated = revalidateAll ? countPages() : paths.length + removedPaths.length;
+    const message = revalidateAll
+      ? `Revalidated all ${revalidated} pages on ${branch}`
+      : `Revalidated ${revalidated} path(s) on ${branch}`;
+
+    if (!quiet) {
+      console.log(`🔄 ${message}`);
+      paths.forEach(p => console.log(`   ~ ${p}`));
+      removedPaths.forEach(p => console.log(`   - ${p}`));
+    }
+
+    return send(res, 200, { revalidated, message });
+  });
+
+  return { server, requests };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = Number(portIndex >= 0 ? args[portIndex + 1] : process.env.PORT || 3000);
+
+  const { server } = createMockSite();
+  server.listen(port, () => {
+    console.log(`🧪 Mock docs site listening on http://localhost:${port}`);
+    console.log(`   POST /api/revalidate with Authorization: Bearer <REVALIDATE_SECRET>`);
+    console.log(`   POST /v2/<api-key> for JSON-RPC`);
+    console.log('');
+  });
+
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+module.exports = { createMockSite };
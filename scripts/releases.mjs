@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * Atomic releases of a branch's content
+ *
+ * Usage:
+ *   node scripts/releases.mjs list <branch> [--backend <name>]
+ *   node scripts/releases.mjs rollback <branch> [release] [--backend <name>]
+ *
+ * `content-sync.mjs --release` publishes into an immutable prefix,
+ * `.releases/<id>/` inside the branch namespace, and only once every file
+ * is stored flips the branch's pointer (`.release.json`) to it. Readers
+ * resolve the pointer first, e.g. with Redis:
+ *
+ *   content:<branch>:.release.json           -> {"release": "<id>", ...}
+ *   content:<branch>:.releases/<id>/<path>   -> file content
+ *
+ * Unchanged files are copied server-side from the previous release, so only
+ * changed files are uploaded. Each release carries its own search index
+ * (.search-index.json), so search always matches the content it serves.
+ * The last N releases are kept (--keep, default 5). rollback repoints the
+ * branch at an older release (default: the previous one) and revalidates it.
+ * Branches without a pointer are read in place; once a branch has one,
+ * content-sync.mjs and watch.js publish every later change as a new release.
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { createBackend } from "./storage-backends.mjs";
+import { MANIFEST_FILE, hashContent, planSync, printPlan } from "./content-manifest.mjs";
+import { formatBytes, holdBackBrokenMdx, triggerRevalidation } from "./content-sync.mjs";
+import { createRateLimiter, mapWithConcurrency, withRetry } from "./upload-queue.mjs";
+import { SEARCH_INDEX_FILE, buildSearchIndex, serializeSearchIndex } from "./search-index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_DIR = path.join(__dirname, "..");
+
+export const RELEASES_DIR = ".releases";
+export const RELEASE_POINTER_FILE = ".release.json";
+export const DEFAULT_KEEP = 5;
+
+/**
+ * Path of a file inside a release, relative to the branch namespace
+ */
+export function releaseFile(release, file) {
+  return `${RELEASES_DIR}/${release}/${file}`;
+}
+
+/**
+ * Sortable release id from the current time, e.g. 20261018T194541123Z
+ */
+function newReleaseId() {
+  return new Date().toISOString().replace(/[-:.]/g, "");
+}
+
+/**
+ * The branch's release pointer, or null when it is published in place
+ */
+export async function loadPointer(backend, branch) {
+  const value = await backend.get(branch, RELEASE_POINTER_FILE);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Stored releases of a branch, oldest first
+ * @returns {Promise<Map<string, string[]>>} Release id -> files in it
+ */
+export async function listReleases(backend, branch) {
+  const releases = new Map();
+  for (const file of await backend.list(branch, `${RELEASES_DIR}/`)) {
+    const [, release, ...rest] = file.split("/");
+    if (!releases.has(release)) {
+      releases.set(release, []);
+    }
+    releases.get(release).push(rest.join("/"));
+  }
+  return new Map([...releases].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+async function pointTo(backend, branch, pointer) {
+  await withRetry(() =>
+    backend.put(branch, RELEASE_POINTER_FILE, Buffer.from(JSON.stringify(pointer, null, 2)))
+  );
+}
+
+async function deleteRelease(backend, branch, release, files) {
+  const paths = files.map((file) => releaseFile(release, file));
+  for (let i = 0; i < paths.length; i += 500) {
+    const chunk = paths.slice(i, i + 500);
+    await withRetry(() => backend.remove(branch, chunk));
+  }
+}
+
+/**
+ * Delete all but the newest `keep` releases, never the one the pointer uses
+ * @returns {Promise<string[]>} Deleted release ids
+ */
+export async function pruneReleases(backend, branch, keep, current) {
+  const releases = await listReleases(backend, branch);
+  const stale = [...releases.keys()].slice(0, Math.max(0, releases.size - keep)).filter((id) => id !== current);
+
+  for (const release of stale) {
+    await deleteRelease(backend, branch, release, releases.get(release));
+  }
+  return stale;
+}
+
+/**
+ * Publish local files as a new release and flip the branch pointer to it
+ * @param {object} backend - From createBackend()
+ * @param {string} branch
+ * @param {object} local - Local manifest (path -> hash)
+ * @param {object} [options]
+ * @param {number} [options.concurrency]
+ * @param {number} [options.rateLimit] - Requests per second, 0 for no limit
+ * @param {number} [options.keep] - Releases to keep
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.full] - Upload every file instead of copying unchanged ones
+ * @returns {Promise<{release: string|null, uploaded: string[], deleted: string[], errors: Array<{file: string, error: string}>, heldBack: Array<{file: string, error: string}>}>}
+ */
+export async function publishRelease(
+  backend,
+  branch,
+  local,
+  { concurrency = 8, rateLimit = 0, keep = DEFAULT_KEEP, dryRun = false, full = false } = {}
+) {
+  const startTime = Date.now();
+  const pointer = await loadPointer(backend, branch);
+  const previous = pointer?.release || null;
+  const remote = previous
+    ? JSON.parse((await backend.get(branch, releaseFile(previous, MANIFEST_FILE))) || "{}")
+    : {};
+
+  console.log(previous ? `📌 Current release: ${previous}\n` : `📌 No release published yet\n`);
+
+  const plan = planSync(local, remote);
+  if (full) {
+    plan.updates.push(...plan.unchanged.splice(0));
+  }
+
+  // Pages that don't compile carry their previous version into the release
+  const heldBack = await holdBackBrokenMdx(plan);
+  const manifest = { ...local };
+  for (const { file } of heldBack) {
+    if (file in remote) {
+      plan.unchanged.push(file);
+      manifest[file] = remote[file];
+    } else {
+      delete manifest[file];
+    }
+  }
+  printPlan(plan);
+
+  const uploaded = [];
+  const errors = [];
+
+  if (dryRun) {
+    console.log("ℹ️  Dry run, nothing was changed");
+    return { release: null, uploaded, deleted: [], errors, heldBack };
+  }
+
+  const toUpload = [...plan.adds, ...plan.updates];
+  if (toUpload.length === 0 && plan.deletes.length === 0) {
+    console.log("✅ Already up to date");
+    return { release: previous, uploaded, deleted: [], errors, heldBack };
+  }
+
+  const release = newReleaseId();
+  console.log(`🚀 Writing release ${release}...`);
+
+  const retryLogger = (file) => (error, attempt, delayMs) => {
+    console.log(`   ↻ ${file}: ${error.message} (retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s)`);
+  };
+  const limiter = createRateLimiter(rateLimit);
+
+  // Unchanged files come straight from the previous release
+  const copyErrors = [];
+  await mapWithConcurrency(plan.unchanged, concurrency, async (file) => {
+    try {
+      await withRetry(
+        () => backend.copy(branch, branch, releaseFile(previous, file), releaseFile(release, file)),
+        { onRetry: retryLogger(file), limiter }
+      );
+    } catch (error) {
+      copyErrors.push({ file, error: error.message });
+    }
+  });
+  errors.push(...copyErrors);
+  if (plan.unchanged.length > 0) {
+    console.log(`   Copied ${plan.unchanged.length - copyErrors.length} unchanged files from ${previous}`);
+  }
+
+  const uploadStart = Date.now();
+  let bytes = 0;
+  let done = 0;
+  await mapWithConcurrency(toUpload, concurrency, async (file) => {
+    try {
+      const content = fs.readFileSync(path.join(CONTENT_DIR, file));
+      await withRetry(() => backend.put(branch, releaseFile(release, file), content), {
+        onRetry: retryLogger(file),
+        limiter,
+      });
+      uploaded.push(file);
+      bytes += content.length;
+      console.log(`   [${++done}/${toUpload.length}] ✅ ${file}`);
+    } catch (error) {
+      errors.push({ file, error: error.message });
+      console.log(`   [${++done}/${toUpload.length}] ❌ ${file}: ${error.message}`);
+    }
+  });
+  const uploadSeconds = Math.max((Date.now() - uploadStart) / 1000, 0.001);
+
+  if (errors.length > 0) {
+    // Readers never saw this release, so drop what was written of it
+    console.log(`\n❌ Release ${release} is incomplete, the pointer still references ${previous || "nothing"}`);
+    await deleteRelease(backend, branch, release, [...plan.unchanged, ...uploaded]);
+    return { release: null, uploaded: [], deleted: [], errors, heldBack };
+  }
+
+  await withRetry(() =>
+    backend.put(branch, releaseFile(release, MANIFEST_FILE), Buffer.from(JSON.stringify(manifest)))
+  );
+  const searchIndex = serializeSearchIndex(buildSearchIndex({ exclude: new Set(heldBack.map(({ file }) => file)) }));
+  await withRetry(() => backend.put(branch, releaseFile(release, SEARCH_INDEX_FILE), searchIndex));
+
+  // The switch readers see: one write, after everything else is in place
+  await pointTo(backend, branch, { release, previous, publishedAt: new Date().toISOString() });
+  const info = backend.branchInfo(`release ${release}`);
+  await withRetry(() => backend.put(branch, info.file, info.content));
+
+  const pruned = await pruneReleases(backend, branch, keep, release);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+  console.log("");
+  console.log(`✅ Release ${release} published!`);
+  console.log(`   Uploaded: ${uploaded.length} files`);
+  console.log(`   Copied: ${plan.unchanged.length} files`);
+  console.log(`   Dropped: ${plan.deletes.length} files`);
+  console.log(`   Duration: ${duration}s`);
+  if (uploaded.length > 0) {
+    console.log(
+      `   Throughput: ${(uploaded.length / uploadSeconds).toFixed(1)} files/s, ${formatBytes(bytes / uploadSeconds)}/s (${concurrency} concurrent)`
+    );
+  }
+  if (pruned.length > 0) {
+    console.log(`   Pruned releases: ${pruned.join(", ")}`);
+  }
+  console.log(`   Pointer: ${backend.keyFor(branch, RELEASE_POINTER_FILE)}`);
+
+  return { release, uploaded, deleted: plan.deletes, errors, heldBack };
+}
+
+/**
+ * Publish a handful of local changes as a new release: files not mentioned
+ * keep their content from the current release, copied server-side
+ * @param {object} backend - From createBackend()
+ * @param {string} branch
+ * @param {object} changes
+ * @param {string[]} [changes.uploads] - Changed files, relative to the content root
+ * @param {string[]} [changes.deletes] - Removed files
+ * @param {string[]} [changes.deletedDirs] - Removed directories
+ * @param {object} [options] - Passed to publishRelease()
+ */
+export async function publishChanges(backend, branch, { uploads = [], deletes = [], deletedDirs = [] }, options = {}) {
+  const pointer = await loadPointer(backend, branch);
+  const manifest = pointer
+    ? JSON.parse((await backend.get(branch, releaseFile(pointer.release, MANIFEST_FILE))) || "{}")
+    : {};
+
+  for (const file of Object.keys(manifest)) {
+    if (deletes.includes(file) || deletedDirs.some((dir) => file.startsWith(`${dir}/`))) {
+      delete manifest[file];
+    }
+  }
+  for (const file of uploads) {
+    manifest[file] = hashContent(fs.readFileSync(path.join(CONTENT_DIR, file)));
+  }
+
+  return publishRelease(backend, branch, manifest, options);
+}
+
+/**
+ * Point a branch back at an older release
+ * @param {string} [target] - Release id (default: the one before the current release)
+ * @returns {Promise<{from: string, to: string}>}
+ */
+export async function rollback(backend, branch, target) {
+  const pointer = await loadPointer(backend, branch);
+  if (!pointer) {
+    throw new Error(`Branch "${branch}" has no published release to roll back from`);
+  }
+
+  const releases = [...(await listReleases(backend, branch)).keys()];
+  const currentIndex = releases.indexOf(pointer.release);
+  const to = target || releases[currentIndex - 1];
+
+  if (!to) {
+    throw new Error(`No release older than ${pointer.release} is kept for "${branch}"`);
+  }
+  if (!releases.includes(to)) {
+    throw new Error(`Release ${to} not found for "${branch}" (kept: ${releases.join(", ")})`);
+  }
+  if (to === pointer.release) {
+    throw new Error(`"${branch}" already points at ${to}`);
+  }
+
+  await pointTo(backend, branch, {
+    release: to,
+    previous: pointer.release,
+    publishedAt: new Date().toISOString(),
+    rolledBack: true,
+  });
+  const info = backend.branchInfo(`rollback to ${to}`);
+  await withRetry(() => backend.put(branch, info.file, info.content));
+
+  return { from: pointer.release, to };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const backendIndex = args.indexOf("--backend");
+  const positional = args.filter(
+    (arg, index) => !arg.startsWith("--") && (backendIndex < 0 || index !== backendIndex + 1)
+  );
+  const [command, branch, release] = positional;
+  const backendName = (backendIndex >= 0 ? args[backendIndex + 1] : null) || process.env.CONTENT_BACKEND || "blob";
+
+  if (!["list", "rollback"].includes(command) || !branch) {
+    throw new Error("Usage: releases.mjs list <branch> | rollback <branch> [release]");
+  }
+
+  const backend = await createBackend(backendName);
+
+  if (command === "list") {
+    const pointer = await loadPointer(backend, branch);
+    const releases = await listReleases(backend, branch);
+
+    console.log(`📦 Releases of ${branch} in ${backend.label}\n`);
+    if (releases.size === 0) {
+      console.log("   (none)\n");
+      return;
+    }
+    for (const [id, files] of releases) {
+      const count = files.filter((file) => file !== MANIFEST_FILE && file !== SEARCH_INDEX_FILE).length;
+      console.log(`   ${id === pointer?.release ? "→" : " "} ${id}  ${count} files`);
+    }
+    console.log("");
+    return;
+  }
+
+  const { from, to } = await rollback(backend, branch, release);
+  console.log(`⏪ ${branch}: ${from} → ${to}`);
+  await triggerRevalidation(branch);
+}
+
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
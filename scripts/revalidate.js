@@ -1,49 +1,374 @@
 #!/usr/bin/env node
 
 /**
- * Trigger revalidation for all content
- * Usage: node scripts/revalidate.js [branch]
+ * Trigger revalidation for all content, or just the pages that changed
+ *
+ * Usage:
+ *   node scripts/revalidate.js [branch]
+ *   node scripts/revalidate.js [branch] [--path <file|route>] [--glob <pattern>]
+ *                              [--section <name>] [--since <git-ref>] [--dry-run]
+ *
+ * Without targets every page of the branch is revalidated. Targets are mapped
+ * to page routes via docs.yml, each option can be repeated:
+ *   --path     A content file (guides/page-3.mdx) or route (/docs/guides/page-3)
+ *   --glob     Content files or routes matching a pattern, e.g. "guides/**"
+ *   --section  Every page under a docs.yml section
+ *   --since    Pages changed, added, moved or deleted since a git ref, e.g.
+ *              origin/main (compared with the working tree). A docs.yml
+ *              change revalidates everything, since every page shows the nav.
+ * An `api:` entry counts as a page served at its `slug` and its method pages;
+ * it is targeted by its generated spec (alchemy/generated/eth.json), and by
+ * --since when that spec or a source under alchemy/specs/ it is built from changed.
+ * Old URLs in redirects.yml that lead to a targeted page are revalidated too.
+ * --dry-run prints the routes without sending anything.
  */
 
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { execFileSync } = require('child_process');
+const { pageRoute } = require('./detect-moves');
+const { findSpecFiles, SPECS_DIR } = require('./generate-specs');
+const { walkNavigation } = require('./generate-method-pages');
+const { findDependentSpecs } = require('./spec-graph');
+
 const NEXT_APP_URL = process.env.NEXT_APP_URL || 'http://localhost:3000';
 const REVALIDATE_SECRET = process.env.REVALIDATE_SECRET || 'dev-secret';
-const branch = process.argv[2] || 'main';
-
-console.log(`🔄 Triggering revalidation...`);
-console.log(`   Target: ${NEXT_APP_URL}`);
-console.log(`   Branch: ${branch}`);
-console.log();
-
-fetch(`${NEXT_APP_URL}/api/revalidate`, {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${REVALIDATE_SECRET}`
-  },
-  body: JSON.stringify({
-    branch: branch,
-    revalidateAll: true
-  })
-})
-  .then(async (response) => {
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`HTTP ${response.status}: ${error}`);
-    }
-    return response.json();
-  })
-  .then((data) => {
-    console.log('✅ Revalidation complete!');
-    console.log(`   Pages revalidated: ${data.revalidated}`);
-    console.log(`   Message: ${data.message}`);
-    console.log();
-  })
-  .catch((error) => {
-    console.error('❌ Revalidation failed:', error.message);
-    console.log();
-    console.log('Make sure:');
-    console.log('  - The Next.js app is running');
-    console.log('  - NEXT_APP_URL is correct');
-    console.log('  - REVALIDATE_SECRET matches');
-    process.exit(1);
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+const REDIRECTS_PATH = path.join(CONTENT_DIR, 'redirects.yml');
+
+/**
+ * POST to the site's /api/revalidate endpoint
+ * @param {object} body - e.g. `{ branch, revalidateAll: true }`, `{ branch, filePaths }` or `{ branch, paths }`
+ * @param {object} [options]
+ * @param {string} [options.url] - Site base URL
+ * @param {string} [options.secret] - Bearer token the endpoint expects
+ * @returns {Promise<object>} The endpoint's JSON response
+ */
+async function requestRevalidation(body, { url = NEXT_APP_URL, secret = REVALIDATE_SECRET } = {}) {
+  const response = await fetch(`${url}/api/revalidate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${secret}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`HTTP ${response.status}: ${error}`);
+  }
+  return response.json();
+}
+
+/**
+ * Regular expression for a glob: `**` spans directories, `*` and `?` don't
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directories at all
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Routes an `api:` nav entry is served at: its own page at /docs/<slug> when
+ * the entry sets `slug`, plus the method pages listed under it
+ */
+function apiRoutes(item) {
+  const routes = item.slug ? [`/docs/${item.slug}`] : [];
+  walkNavigation(item.contents, (child) => {
+    if (child && child.path) {
+      routes.push(pageRoute(child.path));
+    }
+  });
+  return routes;
+}
+
+/**
+ * Pages, API entries, sections and redirects from docs.yml and redirects.yml
+ * @returns {{pages: Map<string, string[]>, apis: Array<{api: string, spec: string, routes: string[]}>, sections: Map<string, string[]>, redirects: Array<{from: string, to: string}>}}
+ *   pages: file or generated spec -> routes it is served at; sections: name -> files and specs under it
+ */
+function loadSiteMap() {
+  const docs = yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8'));
+  const pages = new Map();
+  const apis = [];
+  const sections = new Map();
+
+  (function visit(items, open) {
+    for (const item of items || []) {
+      if (!item || typeof item !== 'object') {
+        continue;
+      }
+      if (item.path) {
+        const routes = [pageRoute(item.path)];
+        if (item.slug) {
+          routes.push(`/docs/${item.slug}`);
+        }
+        pages.set(item.path, routes);
+        open.forEach(section => sections.get(section).push(item.path));
+      }
+      if (item.api && item.spec) {
+        const routes = apiRoutes(item);
+        apis.push({ api: item.api, spec: item.spec, routes });
+        pages.set(item.spec, [...new Set([...(pages.get(item.spec) || []), ...routes])]);
+        open.forEach(section => sections.get(section).push(item.spec));
+      }
+      if (Array.isArray(item.contents)) {
+        if (item.section && !sections.has(item.section)) {
+          sections.set(item.section, []);
+        }
+        visit(item.contents, item.section ? [...open, item.section] : open);
+      }
+    }
+  })(docs.navigation, []);
+
+  const redirects = fs.existsSync(REDIRECTS_PATH)
+    ? (yaml.load(fs.readFileSync(REDIRECTS_PATH, 'utf-8')) || {}).redirects || []
+    : [];
+
+  return { pages, apis, sections, redirects };
+}
+
+/**
+ * The docs.yml API entries that render the given generated specs, with their routes
+ * @param {string[]} specPaths - e.g. alchemy/generated/eth.json
+ * @returns {Array<{api: string, spec: string, routes: string[]}>}
+ */
+function findSpecConsumers(specPaths) {
+  const specs = new Set(specPaths.map(p => p.split(path.sep).join('/')));
+  return loadSiteMap().apis.filter(entry => specs.has(entry.spec));
+}
+
+/**
+ * Generated specs built from a spec source, including a top-level spec that was deleted
+ * @param {string} file - Path under alchemy/specs/, relative to the content root
+ */
+function generatedSpecsFor(file) {
+  const fullPath = path.join(CONTENT_DIR, file);
+  const sources = findDependentSpecs(fullPath, findSpecFiles());
+  const name = path.basename(file);
+  if (!sources.includes(fullPath) && path.dirname(fullPath) === SPECS_DIR &&
+      /\.ya?ml$/.test(name) && !name.startsWith('_')) {
+    sources.push(fullPath);
+  }
+  return sources.map(source => `alchemy/generated/${path.basename(source, path.extname(source))}.json`);
+}
+
+/**
+ * Files that differ between a git ref and the working tree
+ * @returns {string[]} Paths relative to the content root, both sides of renames included
+ */
+function changedSince(ref) {
+  const output = execFileSync('git', ['diff', '--name-status', '-M', ref, '--'], {
+    cwd: CONTENT_DIR,
+    encoding: 'utf-8',
   });
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => line.split('\t').slice(1));
+}
+
+/**
+ * Map revalidation targets to page routes
+ * @param {object} targets
+ * @param {string[]} [targets.paths] - Content files or routes
+ * @param {string[]} [targets.globs] - Patterns over content files or routes
+ * @param {string[]} [targets.sections] - docs.yml section names
+ * @param {string} [targets.since] - Git ref to diff the working tree against
+ * @returns {{routes: string[], all: boolean, notes: string[]}} `all` when only a full revalidation will do
+ */
+function resolveTargets({ paths = [], globs = [], sections = [], since } = {}) {
+  const site = loadSiteMap();
+  const routes = new Set();
+  const notes = [];
+  let all = false;
+
+  const knownRoutes = new Set([...site.pages.values()].flat());
+  const addFile = (file) => site.pages.get(file).forEach(route => routes.add(route));
+
+  for (const target of paths) {
+    const normalized = target.replace(/^\.\//, '').replace(/\/+$/, '');
+    const file = site.pages.has(normalized) ? normalized : `${normalized}.mdx`;
+    if (normalized.startsWith('/')) {
+      if (!knownRoutes.has(normalized) && !site.redirects.some(redirect => redirect.from === normalized)) {
+        notes.push(`${target} is not a page in docs.yml, revalidating it anyway`);
+      }
+      routes.add(normalized);
+    } else if (site.pages.has(file)) {
+      addFile(file);
+    } else {
+      notes.push(`${target} is not a page in docs.yml, skipped`);
+    }
+  }
+
+  for (const glob of globs) {
+    const pattern = globToRegExp(glob);
+    const before = routes.size;
+    for (const [file, fileRoutes] of site.pages) {
+      if (pattern.test(file) || fileRoutes.some(route => pattern.test(route))) {
+        addFile(file);
+      }
+    }
+    if (routes.size === before) {
+      notes.push(`${glob} matches no pages`);
+    }
+  }
+
+  for (const name of sections) {
+    const section = site.sections.has(name)
+      ? name
+      : [...site.sections.keys()].find(key => key.toLowerCase() === name.toLowerCase());
+    if (!section) {
+      throw new Error(`No section "${name}" in docs.yml (sections: ${[...site.sections.keys()].join(', ')})`);
+    }
+    if (site.sections.get(section).length === 0) {
+      notes.push(`Section "${section}" has no pages`);
+    }
+    site.sections.get(section).forEach(addFile);
+  }
+
+  if (since) {
+    for (const file of changedSince(since)) {
+      if (file === 'docs.yml') {
+        notes.push(`docs.yml changed since ${since}, every page shows the nav`);
+        all = true;
+      } else if (file === 'redirects.yml') {
+        site.redirects.forEach(redirect => routes.add(redirect.from));
+      } else if (site.pages.has(file)) {
+        addFile(file);
+      } else if (file.startsWith('alchemy/specs/')) {
+        generatedSpecsFor(file).filter(spec => site.pages.has(spec)).forEach(addFile);
+      } else if (file.endsWith('.mdx')) {
+        // Deleted or moved away: its old URL has to stop serving the cached page
+        routes.add(pageRoute(file));
+      }
+    }
+  }
+
+  // Old URLs that redirect, directly or through a chain, to a targeted page
+  let added = true;
+  while (added) {
+    added = false;
+    for (const { from, to } of site.redirects) {
+      if (routes.has(to.split('#')[0]) && !routes.has(from)) {
+        routes.add(from);
+        added = true;
+      }
+    }
+  }
+
+  return { routes: [...routes].sort(), all, notes };
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const args = { branch: null, paths: [], globs: [], sections: [], since: null, dryRun: false };
+  const lists = { '--path': 'paths', '--glob': 'globs', '--section': 'sections' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (lists[arg]) {
+      args[lists[arg]].push(argv[++i]);
+    } else if (arg === '--since') {
+      args.since = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.branch) {
+      args.branch = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if ([...args.paths, ...args.globs, ...args.sections].some(value => value === undefined) || args.since === undefined) {
+    throw new Error('--path, --glob, --section and --since need a value');
+  }
+  args.branch = args.branch || 'main';
+  return args;
+}
+
+// Run if called directly
+if (require.main === module) {
+  let args;
+  let body;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    const targeted = args.paths.length + args.globs.length + args.sections.length > 0 || args.since;
+
+    body = { branch: args.branch, revalidateAll: true };
+    if (targeted) {
+      const { routes, all, notes } = resolveTargets(args);
+      notes.forEach(note => console.log(`⚠️  ${note}`));
+      if (!all) {
+        body = { branch: args.branch, paths: routes };
+      }
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`🔄 Triggering revalidation...`);
+  console.log(`   Target: ${NEXT_APP_URL}`);
+  console.log(`   Branch: ${args.branch}`);
+  if (body.paths) {
+    console.log(`   Pages: ${body.paths.length}`);
+    body.paths.slice(0, 20).forEach(route => console.log(`     ${route}`));
+    if (body.paths.length > 20) {
+      console.log(`     ... and ${body.paths.length - 20} more`);
+    }
+  } else {
+    console.log(`   Pages: all`);
+  }
+  console.log();
+
+  if (body.paths && body.paths.length === 0) {
+    console.log('✅ Nothing to revalidate\n');
+    process.exit(0);
+  }
+  if (args.dryRun) {
+    console.log('ℹ️  Dry run, nothing was sent\n');
+    process.exit(0);
+  }
+
+  requestRevalidation(body)
+    .then((data) => {
+      console.log('✅ Revalidation complete!');
+      console.log(`   Pages revalidated: ${data.revalidated}`);
+      console.log(`   Message: ${data.message}`);
+      console.log();
+    })
+    .catch((error) => {
+      console.error('❌ Revalidation failed:', error.message);
+      console.log();
+      console.log('Make sure:');
+      console.log('  - The Next.js app is running');
+      console.log('  - NEXT_APP_URL is correct');
+      console.log('  - REVALIDATE_SECRET matches');
+      process.exit(1);
+    });
+}
+
+module.exports = { findSpecConsumers, globToRegExp, requestRevalidation, resolveTargets };
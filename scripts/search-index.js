@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * Full-text search index for the docs site
+ *
+ * Usage: node scripts/search-index.js [--out <file>]
+ *
+ * Indexes every page in docs.yml (title, headings, body text and code block
+ * languages) and every method of the generated specs it references (name,
+ * summary, description). The index is published next to the content as
+ * `.search-index.json` by content-sync.mjs and kept current by watch.js:
+ *
+ *   {
+ *     "version": 1,
+ *     "weights": { "title": 10, ... },
+ *     "docs": [{ "id", "type", "route", "title", "section", "headings", "langs", "excerpt" }],
+ *     "terms": { "<term>": [docIndex, score, docIndex, score, ...] }
+ *   }
+ *
+ * Terms are lowercased words; identifiers are also split into their parts,
+ * so eth_getBlockByNumber matches "eth_getblockbynumber", "block" and "number".
+ * A query scores a doc by summing the scores of its terms.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseFrontmatter } = require('./frontmatter');
+const { pageRoute } = require('./detect-moves');
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+const DEFAULT_OUT = path.join(CONTENT_DIR, 'node_modules', '.cache', 'search-index.json');
+
+const SEARCH_INDEX_FILE = '.search-index.json';
+const INDEX_VERSION = 1;
+
+// How much an occurrence in each field counts towards a term's score
+const FIELD_WEIGHTS = { title: 10, headings: 4, langs: 2, body: 1 };
+
+const EXCERPT_LENGTH = 160;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'into', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Search terms in a piece of text
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const word of String(text).match(/[\p{L}\p{N}_]+/gu) || []) {
+    const pieces = word.split('_').filter(Boolean);
+    const humps = pieces.flatMap(piece => piece.split(/(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u));
+    for (const term of new Set([word, ...pieces, ...humps])) {
+      const lower = term.toLowerCase();
+      if (lower.length > 1 && !STOP_WORDS.has(lower)) {
+        terms.push(lower);
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Readable text of an MDX page, split into the fields that get indexed
+ * @returns {{title: string|null, headings: string[], langs: string[], body: string}}
+ */
+function extractPageText(source) {
+  const { data, body } = parseFrontmatter(source);
+  const headings = [];
+  const langs = new Set();
+  const text = [];
+  let title = typeof data.title === 'string' ? data.title : null;
+  let fence = null;
+
+  for (const line of body.split('\n')) {
+    const marker = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+        if (marker[2]) {
+          langs.add(marker[2].toLowerCase());
+        }
+      } else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    // Code is searchable by language only
+    if (fence || /^\s*(import|export)\s/.test(line)) {
+      continue;
+    }
+
+    const plain = line
+      .replace(/\{\/\*.*?\*\/\}/g, '')
+      .replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_~`]/g, '')
+      .trim();
+
+    const heading = plain.match(/^(#{1,6})\s+(.+?)[\s#]*$/);
+    if (heading) {
+      if (heading[1].length === 1 && !title) {
+        title = heading[2];
+      } else if (heading[1].length > 1) {
+        headings.push(heading[2]);
+      }
+    } else if (plain) {
+      text.push(plain.replace(/^(>|[-*+]|\d+\.)\s+/, ''));
+    }
+  }
+
+  return { title, headings, langs: [...langs], body: text.join(' ') };
+}
+
+/**
+ * Term scores for a doc's fields
+ * @returns {Map<string, number>}
+ */
+function scoreTerms(fields) {
+  const scores = new Map();
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const value = fields[field];
+    const text = Array.isArray(value) ? value.join(' ') : value || '';
+    for (const term of tokenize(text)) {
+      scores.set(term, (scores.get(term) || 0) + weight);
+    }
+  }
+  return scores;
+}
+
+function excerpt(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > EXCERPT_LENGTH ? `${clean.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Pages and API entries in docs.yml, with the section each sits in
+ * @returns {{pages: Map<string, {page: string, section: string|null}>, apis: Map<string, {api: string, section: string|null, dir: string|null}>}}
+ */
+function readNavigation() {
+  const docs = yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8'));
+  const pages = new Map();
+  const apis = new Map();
+
+  (function visit(items, section) {
+    for (const item of items || []) {
+      if (!item || typeof item !== 'object') {
+        continue;
+      }
+      if (item.path) {
+        pages.set(item.path, { page: item.page, section });
+      }
+      if (item.api && item.spec) {
+        apis.set(item.spec, { api: item.api, section, dir: item.pages?.dir || null });
+      }
+      if (Array.isArray(item.contents)) {
+        visit(item.contents, item.section || section);
+      }
+    }
+  })(docs.navigation, null);
+
+  return { pages, apis };
+}
+
+/**
+ * An empty in-memory index; docs and their term scores are kept per doc so
+ * single pages and specs can be replaced without a rebuild
+ */
+function createSearchIndex() {
+  return { docs: new Map(), scores: new Map() };
+}
+
+function addDoc(index, doc, fields) {
+  index.docs.set(doc.id, doc);
+  index.scores.set(doc.id, scoreTerms(fields));
+}
+
+function removeDocs(index, matches) {
+  for (const id of [...index.docs.keys()]) {
+    if (matches(id)) {
+      index.docs.delete(id);
+      index.scores.delete(id);
+    }
+  }
+}
+
+/**
+ * (Re)index one page; pages missing from disk, the nav, or marked hidden are dropped
+ */
+function indexPage(index, file, nav) {
+  removeDocs(index, id => id === file);
+
+  const fullPath = path.join(CONTENT_DIR, file);
+  const entry = nav.pages.get(file);
+  if (!entry || !fs.existsSync(fullPath)) {
+    return;
+  }
+  const source = fs.readFileSync(fullPath, 'utf-8');
+  if (parseFrontmatter(source).data.hidden === true) {
+    return;
+  }
+
+  const { title, headings, langs, body } = extractPageText(source);
+  const doc = {
+    id: file,
+    type: 'page',
+    route: pageRoute(file),
+    title: entry.page || title || path.basename(file, '.mdx'),
+    section: entry.section,
+    headings,
+    langs,
+    excerpt: excerpt(body),
+  };
+  addDoc(index, doc, { title: doc.title, headings, langs, body });
+}
+
+/**
+ * (Re)index every method of a generated spec
+ */
+function indexSpec(index, specPath, nav) {
+  removeDocs(index, id => id.startsWith(`${specPath}#`));
+
+  const fullPath = path.join(CONTENT_DIR, specPath);
+  const entry = nav.apis.get(specPath);
+  if (!entry || !fs.existsSync(fullPath)) {
+    return;
+  }
+
+  const spec = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  for (const method of spec.methods || []) {
+    const summary = method.summary || '';
+    const description = method.description || '';
+    addDoc(
+      index,
+      {
+        id: `${specPath}#${method.name}`,
+        type: 'method',
+        route: entry.dir ? pageRoute(`${entry.dir}/${method.name}.mdx`) : null,
+        title: method.name,
+        section: entry.api,
+        headings: [],
+        langs: [],
+        excerpt: excerpt(summary || description),
+      },
+      { title: method.name, headings: [summary], langs: [], body: `${description} ${(method.tags || []).map(tag => tag.name || tag).join(' ')}` }
+    );
+  }
+}
+
+/**
+ * Index every page and generated spec referenced by docs.yml
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] - Pages to leave out, e.g. ones held back from publishing
+ */
+function buildSearchIndex({ exclude = new Set() } = {}) {
+  const nav = readNavigation();
+  const index = createSearchIndex();
+  for (const file of nav.pages.keys()) {
+    if (!exclude.has(file)) {
+      indexPage(index, file, nav);
+    }
+  }
+  for (const specPath of nav.apis.keys()) {
+    indexSpec(index, specPath, nav);
+  }
+  return index;
+}
+
+/**
+ * Bring an index up to date with changed or removed paths
+ * @param {object} index - From buildSearchIndex(), updated in place
+ * @param {string[]} paths - Changed or removed files; directories end with "/"
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] - Pages to leave out if the nav forces a rebuild
+ * @returns {boolean} Whether anything indexed was affected
+ */
+function updateSearchIndex(index, paths, { exclude } = {}) {
+  const normalized = paths.map(p => p.split(path.sep).join('/'));
+
+  // Titles, sections and which pages are listed all come from the nav
+  if (normalized.includes('docs.yml')) {
+    const rebuilt = buildSearchIndex({ exclude });
+    index.docs = rebuilt.docs;
+    index.scores = rebuilt.scores;
+    return true;
+  }
+
+  const nav = readNavigation();
+  let affected = false;
+  for (const p of normalized) {
+    if (p.endsWith('/')) {
+      const before = index.docs.size;
+      removeDocs(index, id => id.startsWith(p));
+      affected = affected || index.docs.size !== before;
+    } else if (p.endsWith('.mdx')) {
+      indexPage(index, p, nav);
+      affected = true;
+    } else if (nav.apis.has(p)) {
+      indexSpec(index, p, nav);
+      affected = true;
+    }
+  }
+  return affected;
+}
+
+/**
+ * Compact JSON form of an index, with docs in a stable order
+ * @returns {Buffer}
+ */
+function serializeSearchIndex(index) {
+  const ids = [...index.docs.keys()].sort();
+  const postings = new Map();
+
+  ids.forEach((id, docIndex) => {
+    for (const [term, score] of index.scores.get(id)) {
+      if (!postings.has(term)) {
+        postings.set(term, []);
+      }
+      postings.get(term).push(docIndex, score);
+    }
+  });
+
+  const terms = {};
+  [...postings.keys()].sort().forEach(term => {
+    terms[term] = postings.get(term);
+  });
+
+  return Buffer.from(JSON.stringify({
+    version: INDEX_VERSION,
+    weights: FIELD_WEIGHTS,
+    docs: ids.map(id => index.docs.get(id)),
+    terms,
+  }));
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const out = args.includes('--out') ? path.resolve(args[args.indexOf('--out') + 1]) : DEFAULT_OUT;
+
+  try {
+    console.log('🔎 Building search index...\n');
+    const index = buildSearchIndex();
+    const content = serializeSearchIndex(index);
+    const { terms } = JSON.parse(content);
+    const methods = [...index.docs.values()].filter(doc => doc.type === 'method').length;
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, content);
+
+    console.log(`✅ Indexed ${index.docs.size - methods} pages and ${methods} methods`);
+    console.log(`   Terms: ${Object.keys(terms).length}`);
+    console.log(`   Size: ${(content.length / 1024).toFixed(1)} KB`);
+    console.log(`   Written to: ${path.relative(process.cwd(), out)}\n`);
+  } catch (error) {
+    console.error('❌ Search index build failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  buildSearchIndex,
+  extractPageText,
+  serializeSearchIndex,
+  tokenize,
+  updateSearchIndex,
+};
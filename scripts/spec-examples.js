@@ -0,0 +1,143 @@
+/**
+ * Synthesize OpenRPC example pairings for methods that don't have hand-written ones
+ */
+
+const MAX_DEPTH = 6;
+
+const TYPE_FALLBACKS = {
+  string: 'string',
+  integer: 0,
+  number: 0,
+  boolean: true,
+  null: null,
+};
+
+/**
+ * Resolve a local `#/components/schemas/...` ref left behind for circular schemas
+ */
+function resolveLocalRef(spec, ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, segment) => (node == null ? undefined : node[segment]), spec);
+}
+
+/**
+ * Build a sample value for a schema from its example, default, const or enum,
+ * falling back to the structure of the schema itself
+ */
+function sampleFromSchema(schema, spec, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) {
+    return undefined;
+  }
+
+  if (schema.$ref) {
+    return sampleFromSchema(resolveLocalRef(spec, schema.$ref), spec, depth + 1);
+  }
+
+  if ('example' in schema) {
+    return schema.example;
+  }
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+  if ('default' in schema) {
+    return schema.default;
+  }
+  if ('const' in schema) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+
+  for (const combinator of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[combinator])) {
+      for (const branch of schema[combinator]) {
+        const value = sampleFromSchema(branch, spec, depth + 1);
+        if (value !== undefined) {
+          return value;
+        }
+      }
+    }
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  if (type === 'object' || schema.properties) {
+    const value = {};
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      const propertyValue = sampleFromSchema(propertySchema, spec, depth + 1);
+      if (propertyValue !== undefined) {
+        value[key] = propertyValue;
+      }
+    }
+    return value;
+  }
+
+  if (type === 'array') {
+    const item = sampleFromSchema(schema.items, spec, depth + 1);
+    return item === undefined ? [] : [item];
+  }
+
+  return TYPE_FALLBACKS[type];
+}
+
+/**
+ * Full JSON-RPC request/response bodies for an example pairing
+ */
+function buildEnvelopes(method, pairing) {
+  const byName = method.paramStructure === 'by-name';
+  const params = byName
+    ? Object.fromEntries(pairing.params.map(param => [param.name, param.value]))
+    : pairing.params.map(param => param.value);
+
+  const envelopes = {
+    'x-request': { jsonrpc: '2.0', id: 1, method: method.name, params },
+  };
+  if (pairing.result && 'value' in pairing.result) {
+    envelopes['x-response'] = { jsonrpc: '2.0', id: 1, result: pairing.result.value };
+  }
+  return envelopes;
+}
+
+/**
+ * Add an `examples` entry to every method of a dereferenced spec.
+ * Hand-written examples are kept as-is and only gain the request/response bodies.
+ * @param {object} spec - Dereferenced OpenRPC document (modified in place)
+ * @returns {number} Number of methods that received a synthesized example
+ */
+function addMethodExamples(spec) {
+  let synthesized = 0;
+
+  for (const method of spec.methods || []) {
+    if (Array.isArray(method.examples) && method.examples.length > 0) {
+      method.examples = method.examples.map(pairing => (
+        pairing.params && !pairing['x-request'] ? { ...pairing, ...buildEnvelopes(method, pairing) } : pairing
+      ));
+      continue;
+    }
+
+    const pairing = {
+      name: `${method.name} example`,
+      params: (method.params || []).map(param => ({
+        name: param.name,
+        value: sampleFromSchema(param.schema, spec) ?? null,
+      })),
+    };
+
+    if (method.result) {
+      pairing.result = {
+        name: method.result.name,
+        value: sampleFromSchema(method.result.schema, spec) ?? null,
+      };
+    }
+
+    method.examples = [{ ...pairing, ...buildEnvelopes(method, pairing) }];
+    synthesized++;
+  }
+
+  return synthesized;
+}
+
+module.exports = { addMethodExamples, sampleFromSchema };
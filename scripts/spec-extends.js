@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Spec inheritance via `x-extends`
+ *
+ * A chain spec can declare only its differences from a base spec:
+ *
+ *   x-extends:
+ *     spec: ./eth.yaml
+ *     include: [eth_blockNumber, eth_getBalance]   # or exclude: [...]
+ *     overrides:
+ *       eth_getBalance:
+ *         summary: Returns the balance of an account on Polygon
+ *
+ * `x-extends: ./eth.yaml` is shorthand for inheriting every method. Methods the
+ * child declares itself replace inherited methods with the same name.
+ */
+
+/**
+ * Normalize the x-extends value to { spec, include, exclude, overrides }
+ */
+function normalizeExtends(value, filePath) {
+  const config = typeof value === 'string' ? { spec: value } : { ...value };
+
+  if (!config.spec || typeof config.spec !== 'string') {
+    throw new Error(`x-extends in ${path.basename(filePath)} must name a base spec`);
+  }
+  if (config.include && config.exclude) {
+    throw new Error(`x-extends in ${path.basename(filePath)} cannot use both include and exclude`);
+  }
+
+  return {
+    spec: config.spec,
+    include: config.include || null,
+    exclude: config.exclude || [],
+    overrides: config.overrides || {},
+  };
+}
+
+/**
+ * Rewrite $refs from a parent document so they resolve relative to the child file
+ */
+function rebaseRefs(node, parentFile, childFile) {
+  if (Array.isArray(node)) {
+    return node.map(item => rebaseRefs(item, parentFile, childFile));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref' && typeof value === 'string' && !/^[a-z]+:\/\//i.test(value)) {
+      const [refFile, pointer = ''] = value.split('#');
+      const target = refFile ? path.resolve(path.dirname(parentFile), refFile) : parentFile;
+      let relative = path.relative(path.dirname(childFile), target).split(path.sep).join('/');
+      if (!relative.startsWith('.')) {
+        relative = `./${relative}`;
+      }
+      result[key] = `${relative}#${pointer}`;
+    } else {
+      result[key] = rebaseRefs(value, parentFile, childFile);
+    }
+  }
+  return result;
+}
+
+/**
+ * Load a spec source and apply its x-extends chain
+ * @param {string} filePath - Absolute path to the spec YAML
+ * @returns {{doc: object, parents: string[]}} Composed document and the absolute paths it inherits from
+ */
+function loadSpecSource(filePath, seen = []) {
+  if (seen.includes(filePath)) {
+    throw new Error(`Circular x-extends: ${[...seen, filePath].map(f => path.basename(f)).join(' -> ')}`);
+  }
+
+  const doc = yaml.load(fs.readFileSync(filePath, 'utf-8'));
+  if (!doc || !doc['x-extends']) {
+    return { doc, parents: [] };
+  }
+
+  const config = normalizeExtends(doc['x-extends'], filePath);
+  const parentFile = path.resolve(path.dirname(filePath), config.spec);
+  const parent = loadSpecSource(parentFile, [...seen, filePath]);
+
+  const ownMethods = doc.methods || [];
+  const ownNames = new Set(ownMethods.map(method => method.name));
+
+  const missing = [...(config.include || []), ...Object.keys(config.overrides)]
+    .filter(name => !(parent.doc.methods || []).some(method => method.name === name));
+  if (missing.length > 0) {
+    throw new Error(`x-extends in ${path.basename(filePath)} names methods not in ${config.spec}: ${missing.join(', ')}`);
+  }
+
+  const inherited = (parent.doc.methods || [])
+    .filter(method => !ownNames.has(method.name))
+    .filter(method => (config.include ? config.include.includes(method.name) : !config.exclude.includes(method.name)))
+    .map(method => ({ ...rebaseRefs(method, parentFile, filePath), ...config.overrides[method.name] }));
+
+  const { 'x-extends': _, ...rest } = doc;
+
+  return {
+    doc: { ...rest, methods: [...inherited, ...ownMethods] },
+    parents: [parentFile, ...parent.parents],
+  };
+}
+
+module.exports = { loadSpecSource };
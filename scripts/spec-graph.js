@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadSpecSource } = require('./spec-extends');
+
+/**
+ * Collect the files a parsed document points at through $ref
+ */
+function collectRefFiles(node, fromFile, files = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectRefFiles(item, fromFile, files));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string' && !/^[a-z]+:\/\//i.test(value)) {
+        const refFile = value.split('#')[0];
+        if (refFile) {
+          files.add(path.resolve(path.dirname(fromFile), refFile));
+        }
+      } else {
+        collectRefFiles(value, fromFile, files);
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * All source files a spec depends on: x-extends parents and every file reachable via $ref
+ * @param {string} specFile - Absolute path to the spec YAML
+ * @returns {string[]} Absolute paths, excluding the spec itself
+ */
+function collectDependencies(specFile) {
+  const { doc, parents } = loadSpecSource(specFile);
+  const dependencies = new Set(parents);
+  const pending = [...collectRefFiles(doc, specFile)];
+
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (dependencies.has(file) || file === specFile) {
+      continue;
+    }
+    dependencies.add(file);
+
+    if (fs.existsSync(file)) {
+      const referenced = yaml.load(fs.readFileSync(file, 'utf-8'));
+      pending.push(...collectRefFiles(referenced, file));
+    }
+  }
+
+  return [...dependencies].sort();
+}
+
+/**
+ * Specs that need rebuilding when a source file changes
+ * @param {string} changedFile - Absolute path to the changed spec or component
+ * @param {string[]} specFiles - Absolute paths of all specs
+ * @returns {string[]}
+ */
+function findDependentSpecs(changedFile, specFiles) {
+  return specFiles.filter((file) => {
+    if (file === changedFile) {
+      return true;
+    }
+    try {
+      return collectDependencies(file).includes(changedFile);
+    } catch {
+      // Can't tell what a broken spec depends on, so rebuild it to surface the error
+      return true;
+    }
+  });
+}
+
+/**
+ * Content hash of a spec, its dependencies and any extra inputs
+ * @param {string} specFile - Absolute path to the spec YAML
+ * @param {string[]} [extraInputs] - Additional strings that affect the output
+ */
+function hashInputs(specFile, extraInputs = []) {
+  const hash = crypto.createHash('sha256');
+
+  for (const file of [specFile, ...collectDependencies(specFile)]) {
+    hash.update(file);
+    hash.update('\0');
+    hash.update(fs.existsSync(file) ? fs.readFileSync(file) : '<missing>');
+    hash.update('\0');
+  }
+  extraInputs.forEach(input => hash.update(String(input)).update('\0'));
+
+  return hash.digest('hex');
+}
+
+module.exports = { collectDependencies, findDependentSpecs, hashInputs };
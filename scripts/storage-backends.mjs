@@ -0,0 +1,620 @@
+/**
+ * Storage backends for published content
+ *
+ * Every backend stores a branch's files under its own namespace and exposes
+ * the same interface, so sync and watch code never touches an SDK directly:
+ *
+ *   keyFor(branch, file)          Where a file is stored, for logging
+ *   location(branch)              The branch namespace, for logging
+ *   get(branch, file)             Stored content as a string, or null
+ *   put(branch, file, content)    Store a Buffer
+ *   remove(branch, files)         Delete files
+ *   list(branch, [prefix])        Stored files (relative to the branch) under a prefix
+ *   batch(branch, {uploads, deletes})  Apply many writes at once
+ *   entries()                     Everything stored, across branches: {path, size, updatedAt}
+ *                                 with path relative to the content root, e.g. `<branch>:<file>`
+ *   copy(fromBranch, toBranch, file, [toFile])  Copy a stored file server-side
+ *   separator                     What joins branch and file in entry paths (":" or "/")
+ *
+ * Select one with --backend or CONTENT_BACKEND: blob, redis, local, s3, memory.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Written by every sync so branches can be listed with a last-updated time
+export const BRANCH_INFO_FILE = ".branch.json";
+
+function requireEnv(backend, names) {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(", ")} must be set for the ${backend} backend`);
+  }
+}
+
+/**
+ * Error for a failed HTTP response, with the status and Retry-After that withRetry() backs off on
+ */
+function httpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.retryAfter = response.headers.get("retry-after") ?? undefined;
+  return error;
+}
+
+/**
+ * Upstash Redis: one key per file, `content:<branch>:<path>`
+ */
+async function createRedisBackend() {
+  requireEnv("redis", ["KV_REST_API_URL", "KV_REST_API_TOKEN"]);
+
+  const { Redis } = await import("@upstash/redis");
+  const redis = new Redis({
+    url: process.env.KV_REST_API_URL,
+    token: process.env.KV_REST_API_TOKEN,
+  });
+
+  const location = (branch) => `content:${branch}:`;
+  const keyFor = (branch, file) => `${location(branch)}${file}`;
+
+  return {
+    name: "redis",
+    label: "Upstash Redis",
+    separator: ":",
+    location,
+    keyFor,
+
+    async get(branch, file) {
+      const value = await redis.get(keyFor(branch, file));
+      if (value === null || value === undefined) {
+        return null;
+      }
+      // The SDK parses JSON values automatically; hand back the stored text
+      return typeof value === "string" ? value : JSON.stringify(value);
+    },
+
+    async put(branch, file, content) {
+      await redis.set(keyFor(branch, file), content.toString("utf-8"));
+    },
+
+    async remove(branch, files) {
+      if (files.length > 0) {
+        await redis.del(...files.map((file) => keyFor(branch, file)));
+      }
+    },
+
+    async list(branch, prefix = "") {
+      const files = [];
+      let cursor = "0";
+      do {
+        const [nextCursor, keys] = await redis.scan(cursor, {
+          match: `${keyFor(branch, prefix)}*`,
+          count: 500,
+        });
+        files.push(...keys.map((key) => key.slice(location(branch).length)));
+        cursor = String(nextCursor);
+      } while (cursor !== "0");
+      return files;
+    },
+
+    // Everything goes out in a single pipelined request
+    async batch(branch, { uploads = [], deletes = [] }) {
+      if (uploads.length === 0 && deletes.length === 0) {
+        return;
+      }
+      const pipeline = redis.pipeline();
+      uploads.forEach(({ file, content }) => {
+        pipeline.set(keyFor(branch, file), content.toString("utf-8"));
+      });
+      deletes.forEach((file) => pipeline.del(keyFor(branch, file)));
+      await pipeline.exec();
+    },
+
+    async entries() {
+      const keys = [];
+      let cursor = "0";
+      do {
+        const [nextCursor, batch] = await redis.scan(cursor, { match: "content:*", count: 1000 });
+        keys.push(...batch);
+        cursor = String(nextCursor);
+      } while (cursor !== "0");
+
+      // Redis keeps no modification time; the branch info file provides it
+      const entries = [];
+      for (let i = 0; i < keys.length; i += 500) {
+        const chunk = keys.slice(i, i + 500);
+        const pipeline = redis.pipeline();
+        chunk.forEach((key) => pipeline.strlen(key));
+        const sizes = await pipeline.exec();
+        chunk.forEach((key, j) => {
+          entries.push({ path: key.slice("content:".length), size: Number(sizes[j]), updatedAt: null });
+        });
+      }
+      return entries;
+    },
+
+    async copy(fromBranch, toBranch, file, toFile = file) {
+      await redis.copy(keyFor(fromBranch, file), keyFor(toBranch, toFile), { replace: true });
+    },
+  };
+}
+
+/**
+ * Vercel Blob: one blob per file, `content/<branch>/<path>`
+ */
+async function createBlobBackend() {
+  requireEnv("blob", ["BLOB_READ_WRITE_TOKEN"]);
+
+  const { BlobNotFoundError, copy, del, head, list, put } = await import("@vercel/blob");
+
+  const location = (branch) => `content/${branch}/`;
+  const keyFor = (branch, file) => `${location(branch)}${file}`;
+
+  const writeOptions = {
+    access: "public",
+    allowOverwrite: true,
+    addRandomSuffix: false, // Keep exact paths
+    cacheControlMaxAge: 0, // No CDN caching for frequently updated content
+  };
+
+  return {
+    name: "blob",
+    label: "Vercel Blob",
+    separator: "/",
+    location,
+    keyFor,
+
+    async get(branch, file) {
+      try {
+        const blob = await head(keyFor(branch, file));
+        const response = await fetch(blob.url, { cache: "no-store" });
+        if (!response.ok) {
+          throw httpError(`HTTP ${response.status} fetching ${keyFor(branch, file)}`, response);
+        }
+        return await response.text();
+      } catch (error) {
+        if (error instanceof BlobNotFoundError) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async put(branch, file, content) {
+      await put(keyFor(branch, file), content, writeOptions);
+    },
+
+    async remove(branch, files) {
+      if (files.length > 0) {
+        await del(files.map((file) => keyFor(branch, file)));
+      }
+    },
+
+    async list(branch, prefix = "") {
+      const files = [];
+      let cursor;
+      do {
+        const page = await list({ prefix: keyFor(branch, prefix), cursor });
+        files.push(...page.blobs.map((blob) => blob.pathname.slice(location(branch).length)));
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+      return files;
+    },
+
+    async entries() {
+      const entries = [];
+      let cursor;
+      do {
+        const page = await list({ prefix: "content/", cursor });
+        page.blobs.forEach((blob) => {
+          entries.push({
+            path: blob.pathname.slice("content/".length),
+            size: blob.size,
+            updatedAt: new Date(blob.uploadedAt),
+          });
+        });
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+      return entries;
+    },
+
+    async copy(fromBranch, toBranch, file, toFile = file) {
+      await copy(keyFor(fromBranch, file), keyFor(toBranch, toFile), writeOptions);
+    },
+  };
+}
+
+/**
+ * Local directory laid out like Blob: `<LOCAL_CONTENT_DIR>/content/<branch>/<path>`
+ */
+async function createLocalBackend() {
+  const root = path.resolve(
+    process.env.LOCAL_CONTENT_DIR ||
+      path.join(__dirname, "..", "node_modules", ".cache", "content-store")
+  );
+
+  const location = (branch) => path.join(root, "content", branch) + path.sep;
+  const keyFor = (branch, file) => path.join(root, "content", branch, file);
+
+  function walk(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(fullPath) : [fullPath];
+    });
+  }
+
+  return {
+    name: "local",
+    label: `local directory (${root})`,
+    separator: "/",
+    location,
+    keyFor,
+
+    async get(branch, file) {
+      const filePath = keyFor(branch, file);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+    },
+
+    async put(branch, file, content) {
+      const filePath = keyFor(branch, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    },
+
+    async remove(branch, files) {
+      const branchDir = path.join(root, "content", branch);
+      for (const file of files) {
+        fs.rmSync(keyFor(branch, file), { force: true });
+
+        // Drop directories the deletion left empty
+        let dir = path.dirname(keyFor(branch, file));
+        while (dir.startsWith(branchDir + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+          fs.rmdirSync(dir);
+          dir = path.dirname(dir);
+        }
+      }
+    },
+
+    async list(branch, prefix = "") {
+      const branchDir = path.join(root, "content", branch);
+      return walk(branchDir)
+        .map((file) => path.relative(branchDir, file).split(path.sep).join("/"))
+        .filter((file) => file.startsWith(prefix));
+    },
+
+    async entries() {
+      const contentDir = path.join(root, "content");
+      return walk(contentDir).map((file) => {
+        const stats = fs.statSync(file);
+        return {
+          path: path.relative(contentDir, file).split(path.sep).join("/"),
+          size: stats.size,
+          updatedAt: stats.mtime,
+        };
+      });
+    },
+
+    async copy(fromBranch, toBranch, file, toFile = file) {
+      fs.mkdirSync(path.dirname(keyFor(toBranch, toFile)), { recursive: true });
+      fs.copyFileSync(keyFor(fromBranch, file), keyFor(toBranch, toFile));
+    },
+  };
+}
+
+/**
+ * S3-compatible object storage (AWS S3, Cloudflare R2, MinIO, ...), path-style
+ * requests signed with AWS Signature V4: `<bucket>/content/<branch>/<path>`
+ */
+async function createS3Backend() {
+  requireEnv("s3", ["S3_ENDPOINT", "S3_BUCKET", "S3_ACCESS_KEY_ID", "S3_SECRET_ACCESS_KEY"]);
+
+  const endpoint = process.env.S3_ENDPOINT.replace(/\/+$/, "");
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+  const location = (branch) => `content/${branch}/`;
+  const keyFor = (branch, file) => `${location(branch)}${file}`;
+
+  // RFC 3986 encoding, as SigV4 requires
+  const encode = (value) =>
+    encodeURIComponent(value).replace(
+      /[!'()*]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+  const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+  const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+  async function request(method, key, { body, query = {}, headers: extraHeaders = {} } = {}) {
+    const canonicalUri = `/${[bucket, ...(key ? key.split("/") : [])].map(encode).join("/")}`;
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encode(name)}=${encode(query[name])}`)
+      .join("&");
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || "");
+    const host = new URL(endpoint).host;
+
+    const headers = {
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      ...extraHeaders,
+    };
+    const signedHeaders = Object.keys(headers).sort().join(";");
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      Object.keys(headers).sort().map((name) => `${name}:${headers[name]}\n`).join(""),
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(
+      hmac,
+      hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    // fetch sets Host itself
+    const { host: _host, ...requestHeaders } = headers;
+    return fetch(`${endpoint}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ""}`, {
+      method,
+      body,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+    });
+  }
+
+  async function check(response, action) {
+    if (!response.ok) {
+      const detail = await response.text();
+      throw httpError(`S3 ${action} failed: HTTP ${response.status} ${detail.slice(0, 200)}`, response);
+    }
+    return response;
+  }
+
+  const unescapeXml = (text) =>
+    text
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+
+  // Every object under a prefix, following continuation tokens
+  async function listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+    do {
+      const query = { "list-type": "2", prefix };
+      if (continuationToken) {
+        query["continuation-token"] = continuationToken;
+      }
+      const response = await check(await request("GET", "", { query }), "LIST");
+      const xml = await response.text();
+
+      for (const [, object] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const field = (name) => object.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`))?.[1];
+        objects.push({
+          key: unescapeXml(field("Key")),
+          size: Number(field("Size")),
+          lastModified: new Date(field("LastModified")),
+        });
+      }
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? unescapeXml(xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/)[1])
+        : undefined;
+    } while (continuationToken);
+    return objects;
+  }
+
+  return {
+    name: "s3",
+    label: `S3 (${bucket})`,
+    separator: "/",
+    location,
+    keyFor,
+
+    async get(branch, file) {
+      const response = await request("GET", keyFor(branch, file));
+      if (response.status === 404) {
+        return null;
+      }
+      await check(response, `GET ${keyFor(branch, file)}`);
+      return response.text();
+    },
+
+    async put(branch, file, content) {
+      await check(await request("PUT", keyFor(branch, file), { body: content }), `PUT ${keyFor(branch, file)}`);
+    },
+
+    async remove(branch, files) {
+      for (const file of files) {
+        await check(await request("DELETE", keyFor(branch, file)), `DELETE ${keyFor(branch, file)}`);
+      }
+    },
+
+    async list(branch, prefix = "") {
+      const objects = await listObjects(keyFor(branch, prefix));
+      return objects.map(({ key }) => key.slice(location(branch).length));
+    },
+
+    async entries() {
+      const objects = await listObjects("content/");
+      return objects.map(({ key, size, lastModified }) => ({
+        path: key.slice("content/".length),
+        size,
+        updatedAt: lastModified,
+      }));
+    },
+
+    async copy(fromBranch, toBranch, file, toFile = file) {
+      const source = `/${[bucket, ...keyFor(fromBranch, file).split("/")].map(encode).join("/")}`;
+      await check(
+        await request("PUT", keyFor(toBranch, toFile), { headers: { "x-amz-copy-source": source } }),
+        `COPY ${keyFor(fromBranch, file)}`
+      );
+    },
+  };
+}
+
+/**
+ * In-memory stand-in for Redis or Blob, keyed exactly like the real store
+ * (`content:<branch>:<path>` or `content/<branch>/<path>`) so scripts can run
+ * offline. Set MEMORY_STORE_FILE to persist the keys as JSON and share them
+ * between processes, e.g. an upload followed by watch mode.
+ * @param {object} [options]
+ * @param {"redis"|"blob"} [options.scheme] - Key scheme (default: MEMORY_KEY_SCHEME, then redis)
+ * @param {string} [options.file] - JSON file to persist to (default: MEMORY_STORE_FILE)
+ */
+async function createMemoryBackend({
+  scheme = process.env.MEMORY_KEY_SCHEME || "redis",
+  file: storeFile = process.env.MEMORY_STORE_FILE,
+} = {}) {
+  if (!["redis", "blob"].includes(scheme)) {
+    throw new Error(`Unknown memory key scheme "${scheme}" (expected redis or blob)`);
+  }
+
+  const location = scheme === "redis"
+    ? (branch) => `content:${branch}:`
+    : (branch) => `content/${branch}/`;
+  const keyFor = (branch, file) => `${location(branch)}${file}`;
+
+  const store = new Map(
+    storeFile && fs.existsSync(storeFile)
+      ? Object.entries(JSON.parse(fs.readFileSync(storeFile, "utf-8")))
+      : []
+  );
+
+  let dirty = false;
+  function flush() {
+    if (dirty) {
+      dirty = false;
+      fs.mkdirSync(path.dirname(path.resolve(storeFile)), { recursive: true });
+      fs.writeFileSync(storeFile, JSON.stringify(Object.fromEntries(store), null, 2));
+    }
+  }
+
+  // Coalesce a run of writes into one save, and never lose the last one on exit
+  function persist() {
+    if (storeFile && !dirty) {
+      dirty = true;
+      setImmediate(flush);
+    }
+  }
+  if (storeFile) {
+    process.on("exit", flush);
+  }
+
+  return {
+    name: "memory",
+    label: `in-memory ${scheme} store${storeFile ? ` (${storeFile})` : ""}`,
+    separator: scheme === "redis" ? ":" : "/",
+    location,
+    keyFor,
+    // Exposed so callers can inspect exactly what would have been published
+    store,
+
+    async get(branch, file) {
+      return store.has(keyFor(branch, file)) ? store.get(keyFor(branch, file)) : null;
+    },
+
+    async put(branch, file, content) {
+      store.set(keyFor(branch, file), content.toString("utf-8"));
+      persist();
+    },
+
+    async remove(branch, files) {
+      files.forEach((file) => store.delete(keyFor(branch, file)));
+      persist();
+    },
+
+    async list(branch, prefix = "") {
+      return [...store.keys()]
+        .filter((key) => key.startsWith(keyFor(branch, prefix)))
+        .map((key) => key.slice(location(branch).length));
+    },
+
+    async batch(branch, { uploads = [], deletes = [] }) {
+      uploads.forEach(({ file, content }) => store.set(keyFor(branch, file), content.toString("utf-8")));
+      deletes.forEach((file) => store.delete(keyFor(branch, file)));
+      persist();
+    },
+
+    async entries() {
+      return [...store].map(([key, value]) => ({
+        path: key.slice("content".length + 1),
+        size: Buffer.byteLength(value),
+        updatedAt: null,
+      }));
+    },
+
+    async copy(fromBranch, toBranch, file, toFile = file) {
+      store.set(keyFor(toBranch, toFile), store.get(keyFor(fromBranch, file)));
+      persist();
+    },
+  };
+}
+
+export const BACKENDS = {
+  blob: createBlobBackend,
+  redis: createRedisBackend,
+  local: createLocalBackend,
+  s3: createS3Backend,
+  memory: createMemoryBackend,
+};
+
+/**
+ * Create a storage backend by name
+ * @param {string} name - One of blob, redis, local, s3, memory
+ * @param {object} [options] - Passed to the backend's factory
+ */
+export async function createBackend(name, options = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage backend "${name}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`
+    );
+  }
+
+  const backend = await factory(options);
+
+  // Backends without a native batch write apply operations one at a time
+  return {
+    async batch(branch, { uploads = [], deletes = [] }) {
+      for (const { file, content } of uploads) {
+        await backend.put(branch, file, content);
+      }
+      await backend.remove(branch, deletes);
+    },
+    ...backend,
+
+    /**
+     * Upload entry recording when and how a branch was last written
+     * @param {string} source - e.g. `sync`, `watch`, `copy from preview`
+     */
+    branchInfo(source) {
+      return {
+        file: BRANCH_INFO_FILE,
+        content: Buffer.from(JSON.stringify({ updatedAt: new Date().toISOString(), source })),
+      };
+    },
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Offline tests for content-sync.mjs, using the memory backend and the mock site
+ *
+ * Run with `npm test`. Test pages are written to a scratch directory inside
+ * the content tree for the length of the run, then removed.
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createBackend } from "../storage-backends.mjs";
+import { getAllFiles, syncContent, triggerRevalidation } from "../content-sync.mjs";
+import { MANIFEST_FILE } from "../content-manifest.mjs";
+import { createMockSite } from "../mock-site.js";
+
+const CONTENT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const SCRATCH_DIR = "sync-test-scratch";
+const BRANCH = "test-sync";
+
+const GOOD_PAGE = "# Sync test\n\nA page that compiles.\n";
+const BROKEN_PAGE = "# Sync test\n\nA page with an unclosed <Note> tag.\n";
+
+const page = (name) => `${SCRATCH_DIR}/${name}.mdx`;
+
+function writePage(file, content) {
+  fs.mkdirSync(path.join(CONTENT_DIR, SCRATCH_DIR), { recursive: true });
+  fs.writeFileSync(path.join(CONTENT_DIR, file), content);
+}
+
+function removePage(file) {
+  fs.rmSync(path.join(CONTENT_DIR, file));
+}
+
+describe("content sync", () => {
+  let backend;
+
+  const stored = (file) => backend.get(BRANCH, file);
+  const manifest = async () => JSON.parse(await stored(MANIFEST_FILE));
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    fs.rmSync(path.join(CONTENT_DIR, SCRATCH_DIR), { recursive: true, force: true });
+    backend = await createBackend("memory", { scheme: "redis", file: null });
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(path.join(CONTENT_DIR, SCRATCH_DIR), { recursive: true, force: true });
+  });
+
+  it("uploads every file on the first sync", async () => {
+    writePage(page("first"), GOOD_PAGE);
+
+    const result = await syncContent(backend, BRANCH);
+    const files = await getAllFiles(CONTENT_DIR);
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.uploaded.length, files.length);
+    assert.equal(await stored(page("first")), GOOD_PAGE);
+    assert.ok(page("first") in (await manifest()));
+    assert.ok(backend.store.has(backend.keyFor(BRANCH, ".search-index.json")));
+  });
+
+  it("uploads only the files that changed since the last sync", async () => {
+    assert.deepEqual((await syncContent(backend, BRANCH)).uploaded, []);
+
+    writePage(page("first"), `${GOOD_PAGE}\nEdited.\n`);
+    const result = await syncContent(backend, BRANCH);
+
+    assert.deepEqual(result.uploaded, [page("first")]);
+    assert.deepEqual(result.deleted, []);
+    assert.equal(await stored(page("first")), `${GOOD_PAGE}\nEdited.\n`);
+  });
+
+  it("deletes files removed locally", async () => {
+    removePage(page("first"));
+    const result = await syncContent(backend, BRANCH);
+
+    assert.deepEqual(result.deleted, [page("first")]);
+    assert.equal(await stored(page("first")), null);
+    assert.ok(!(page("first") in (await manifest())));
+  });
+
+  it("holds back MDX that fails to compile and keeps the published version", async () => {
+    writePage(page("held"), GOOD_PAGE);
+    await syncContent(backend, BRANCH);
+
+    writePage(page("held"), BROKEN_PAGE);
+    writePage(page("new-broken"), BROKEN_PAGE);
+    const result = await syncContent(backend, BRANCH);
+
+    assert.deepEqual(result.heldBack.map(({ file }) => file).sort(), [page("held"), page("new-broken")]);
+    assert.deepEqual(result.uploaded, []);
+    assert.equal(await stored(page("held")), GOOD_PAGE);
+    assert.equal(await stored(page("new-broken")), null);
+  });
+
+  it("leaves unchanged files alone with --dry-run", async () => {
+    writePage(page("dry"), GOOD_PAGE);
+    const result = await syncContent(backend, BRANCH, { dryRun: true });
+
+    assert.deepEqual(result.uploaded, []);
+    assert.equal(await stored(page("dry")), null);
+  });
+});
+
+describe("revalidation", () => {
+  let site;
+  let env;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    env = { ...process.env };
+    site = createMockSite({ secret: "test-secret", quiet: true });
+    await new Promise((resolve) => site.server.listen(0, resolve));
+    process.env.DOCS_SITE_URL = `http://localhost:${site.server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    process.env = env;
+    site.server.close();
+  });
+
+  it("revalidates the branch on the site with the bearer secret", async () => {
+    process.env.REVALIDATE_SECRET = "test-secret";
+    await triggerRevalidation(BRANCH);
+
+    assert.equal(site.requests.length, 1);
+    assert.equal(site.requests[0].authorized, true);
+    assert.deepEqual(site.requests[0].body, { branch: BRANCH, revalidateAll: true });
+  });
+
+  it("is rejected by the site with the wrong secret", async () => {
+    process.env.REVALIDATE_SECRET = "wrong-secret";
+    await triggerRevalidation(BRANCH);
+
+    assert.equal(site.requests.length, 2);
+    assert.equal(site.requests[1].authorized, false);
+  });
+});
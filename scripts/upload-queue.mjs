@@ -0,0 +1,131 @@
+/**
+ * Bounded-concurrency, rate-limited uploads with retries for flaky or rate-limited backends
+ */
+
+// Network errors worth another attempt
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+]);
+
+/**
+ * Whether an error is worth retrying: rate limits, 5xx responses and dropped connections
+ */
+export function isTransientError(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+  const code = error?.code ?? error?.cause?.code;
+  if (TRANSIENT_CODES.has(code)) {
+    return true;
+  }
+  // SDKs and our own HTTP helpers mostly surface the status in the message
+  return /\bHTTP (429|5\d\d)\b|fetch failed|too many requests|rate.?limit|service unavailable|timed? ?out/i.test(
+    `${error?.name} ${error?.message}`
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * How long the server asked us to wait, from a Retry-After of seconds or an HTTP date
+ * @returns {number} Milliseconds, 0 when the error carries none
+ */
+export function retryAfterMs(error) {
+  const value = error?.retryAfter ?? error?.headers?.get?.("retry-after");
+  if (value === undefined || value === null || value === "") {
+    return 0;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Cap the request rate shared by every worker of a sync
+ * @param {number} perSecond - Requests per second; 0 or less means no cap
+ * @returns {{wait: function(): Promise<void>, pause: function(number): void}}
+ *   wait() before each request; pause(ms) holds every worker back, e.g. for a Retry-After
+ */
+export function createRateLimiter(perSecond) {
+  const intervalMs = perSecond > 0 ? 1000 / perSecond : 0;
+  let nextAt = 0;
+
+  return {
+    async wait() {
+      const now = Date.now();
+      const at = Math.max(now, nextAt);
+      nextAt = at + intervalMs;
+      if (at > now) {
+        await sleep(at - now);
+      }
+    },
+    pause(ms) {
+      nextAt = Math.max(nextAt, Date.now() + ms);
+    },
+  };
+}
+
+/**
+ * Run fn, retrying transient failures with exponential backoff and full jitter
+ * @param {function(number): Promise<*>} fn - Called with the attempt number (0-based)
+ * @param {object} [options]
+ * @param {number} [options.retries=5] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=250]
+ * @param {number} [options.maxDelayMs=10000]
+ * @param {function(Error, number, number): void} [options.onRetry] - (error, attempt, delayMs)
+ * @param {object} [options.limiter] - From createRateLimiter(), waited on before every attempt
+ */
+export async function withRetry(fn, { retries = 5, baseDelayMs = 250, maxDelayMs = 10000, onRetry, limiter } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await limiter?.wait();
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+
+      // A Retry-After from the server applies to every worker, not just this one
+      const serverDelayMs = retryAfterMs(error);
+      if (serverDelayMs > 0) {
+        limiter?.pause(serverDelayMs);
+      }
+      const delayMs = Math.max(
+        serverDelayMs,
+        Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+      );
+      onRetry?.(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Call worker for every item with at most `limit` calls in flight
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run));
+  return results;
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Validate docs.yml navigation against the content tree
+ *
+ * Usage: node scripts/validate-docs.js
+ *
+ * Errors: `path:` entries pointing at missing files, duplicate paths, `api:`
+ * entries whose `spec:` is not generated from alchemy/specs, malformed entries.
+ * Frontmatter that fails its schema is an error too (see frontmatter.js).
+ * Warnings: MDX files that no nav entry references (orphans) unless marked
+ * `hidden`, and frontmatter titles or headings that differ from nav labels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { findSpecFiles } = require('./generate-specs');
+const { checkFrontmatter } = require('./frontmatter');
+
+const CONTENT_DIR = path.join(__dirname, '..');
+const DOCS_YML_PATH = path.join(CONTENT_DIR, 'docs.yml');
+
+// Directories that never hold published pages
+const IGNORED_DIRS = new Set(['node_modules', 'scripts', '.git']);
+
+/**
+ * Find every MDX file in the content tree, relative to it
+ */
+function findMdxFiles(dir = CONTENT_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name)) {
+      return [];
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return findMdxFiles(fullPath);
+    }
+    return entry.name.endsWith('.mdx')
+      ? [path.relative(CONTENT_DIR, fullPath).split(path.sep).join('/')]
+      : [];
+  });
+}
+
+/**
+ * Validate docs.yml
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateDocs() {
+  const errors = [];
+  const warnings = [];
+
+  let docs;
+  try {
+    docs = yaml.load(fs.readFileSync(DOCS_YML_PATH, 'utf-8'));
+  } catch (error) {
+    return { errors: [`docs.yml could not be read: ${error.message}`], warnings };
+  }
+
+  if (!docs || !Array.isArray(docs.navigation)) {
+    return { errors: ['docs.yml has no navigation list'], warnings };
+  }
+
+  const generatedSpecs = new Set(
+    findSpecFiles().map(file => `alchemy/generated/${path.basename(file, path.extname(file))}.json`)
+  );
+  const seenPaths = new Map();
+
+  function visit(items, trail) {
+    items.forEach((item, index) => {
+      const location = `${trail}[${index}]`;
+
+      if (!item || typeof item !== 'object') {
+        errors.push(`${location}: nav entry must be an object`);
+        return;
+      }
+
+      if ('path' in item) {
+        if (!item.page) {
+          errors.push(`${location}: path ${item.path} has no page title`);
+        }
+        if (seenPaths.has(item.path)) {
+          errors.push(`${location}: duplicate path ${item.path} (first used at ${seenPaths.get(item.path)})`);
+        } else {
+          seenPaths.set(item.path, location);
+        }
+        if (!fs.existsSync(path.join(CONTENT_DIR, item.path))) {
+          errors.push(`${location}: path ${item.path} does not exist`);
+        }
+      } else if ('api' in item) {
+        if (!generatedSpecs.has(item.spec)) {
+          errors.push(`${location}: spec ${item.spec} for "${item.api}" is not generated from alchemy/specs`);
+        }
+      } else if (!('section' in item)) {
+        errors.push(`${location}: entry needs one of path, api or section`);
+      }
+
+      if ('contents' in item) {
+        if (Array.isArray(item.contents)) {
+          visit(item.contents, `${location}.contents`);
+        } else {
+          errors.push(`${location}: contents must be a list`);
+        }
+      }
+    });
+  }
+
+  visit(docs.navigation, 'navigation');
+
+  const mdxFiles = findMdxFiles();
+  const frontmatter = checkFrontmatter(docs, mdxFiles);
+  errors.push(...frontmatter.errors);
+  warnings.push(...frontmatter.warnings);
+
+  for (const file of mdxFiles) {
+    if (!seenPaths.has(file) && !frontmatter.hidden.has(file)) {
+      warnings.push(`${file} is not referenced in docs.yml`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Print validation results
+ */
+function printDocsValidation({ errors, warnings }) {
+  warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+  errors.forEach(error => console.log(`  ❌ ${error}`));
+
+  if (errors.length === 0) {
+    console.log(`✅ docs.yml is valid${warnings.length > 0 ? ` (${warnings.length} warning(s))` : ''}`);
+  } else {
+    console.log(`❌ docs.yml has ${errors.length} error(s), ${warnings.length} warning(s)`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  console.log('🔍 Validating docs.yml...\n');
+  const result = validateDocs();
+  printDocsValidation(result);
+  console.log('');
+  if (result.errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = { validateDocs, printDocsValidation, findMdxFiles };
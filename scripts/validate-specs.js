@@ -0,0 +1,100 @@
+const { validateOpenRPCDocument } = require('@open-rpc/schema-utils-js');
+
+/**
+ * Convert an ajv dataPath (".methods[0].params[1]") to a JSON pointer ("/methods/0/params/1")
+ */
+function toJsonPointer(dataPath) {
+  if (!dataPath) {
+    return '';
+  }
+
+  return dataPath
+    .replace(/\[(\d+)\]/g, '.$1')
+    .replace(/\['([^']*)'\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .map(segment => '/' + segment.replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
+/**
+ * Resolve a JSON pointer against a document
+ */
+function resolvePointer(doc, pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, segment) => (node == null ? undefined : node[segment]), doc);
+}
+
+/**
+ * Drop the noise ajv produces for `oneOf: [X, referenceObject]` in the meta-schema:
+ * the generic "should match exactly one schema" line, and the referenceObject
+ * branch rejecting the first key of an object that was never meant to be a $ref
+ */
+function pruneOneOfNoise(spec, errors) {
+  return errors.filter((error, index) => {
+    const pointer = toJsonPointer(error.dataPath);
+
+    if (error.keyword === 'oneOf') {
+      return !errors.some(other => other !== error && toJsonPointer(other.dataPath).startsWith(pointer));
+    }
+
+    if (error.keyword === 'additionalProperties') {
+      const node = resolvePointer(spec, pointer);
+      const siblings = errors.filter(other =>
+        other.keyword === 'additionalProperties' && toJsonPointer(other.dataPath) === pointer
+      );
+      if (node && typeof node === 'object' && !('$ref' in node) && siblings.length > 1) {
+        return error.params.additionalProperty !== Object.keys(node)[0];
+      }
+    }
+
+    // Drop exact duplicates
+    return errors.findIndex(other =>
+      other.dataPath === error.dataPath && other.message === error.message &&
+      JSON.stringify(other.params) === JSON.stringify(error.params)
+    ) === index;
+  });
+}
+
+/**
+ * Validate a dereferenced spec against the OpenRPC meta-schema
+ * @param {object} spec - Dereferenced OpenRPC document
+ * @returns {Array<{pointer: string, message: string}>} Empty when the spec is valid
+ */
+function validateSpec(spec) {
+  const result = validateOpenRPCDocument(spec);
+
+  if (result === true) {
+    return [];
+  }
+
+  // schema-utils-js only exposes the ajv errors serialized inside the message
+  let ajvErrors;
+  try {
+    ajvErrors = JSON.parse(result.message.slice(result.message.indexOf('[')));
+  } catch {
+    return [{ pointer: '', message: result.message }];
+  }
+
+  return pruneOneOfNoise(spec, ajvErrors).map(error => {
+    let message = error.message;
+    if (error.params?.additionalProperty) {
+      message += ` ('${error.params.additionalProperty}')`;
+    } else if (error.params?.allowedValues) {
+      message += ` (${error.params.allowedValues.join(', ')})`;
+    }
+    return { pointer: toJsonPointer(error.dataPath), message };
+  });
+}
+
+/**
+ * Format validation errors as "file#/pointer: message" lines
+ */
+function formatValidationErrors(file, errors) {
+  return errors.map(({ pointer, message }) => `${file}#${pointer}: ${message}`);
+}
+
+module.exports = { validateSpec, formatValidationErrors, toJsonPointer, resolvePointer };
@@ -2,28 +2,44 @@ const dotenv = require("dotenv");
 dotenv.config();
 
 const chokidar = require("chokidar");
-const { generateSpecs } = require("./generate-specs");
+const { generateSpecs, OUTPUT_DIR } = require("./generate-specs");
+const { lintSpecs, printLintResults } = require("./lint-specs");
+const { validateDocs, printDocsValidation } = require("./validate-docs");
+const { checkLinks, printLinkResults } = require("./check-links");
+const {
+  SEARCH_INDEX_FILE,
+  buildSearchIndex,
+  serializeSearchIndex,
+  updateSearchIndex,
+} = require("./search-index");
+const { applyMove, findMoveSource } = require("./detect-moves");
 const path = require("path");
 const fs = require("fs");
 
-// Dynamic import for @upstash/redis (ESM module)
-let redis = null;
-const redisImportPromise = process.env.KV_REST_API_URL
-  ? import("@upstash/redis").then((module) => {
-      redis = new module.Redis({
-        url: process.env.KV_REST_API_URL,
-        token: process.env.KV_REST_API_TOKEN,
-      });
-      console.log("✅ Redis SDK loaded");
-    })
-  : Promise.resolve();
+const { findSpecConsumers, requestRevalidation } = require("./revalidate");
 
 const NEXT_APP_URL = process.env.DOCS_SITE_URL || "http://localhost:3000";
 const REVALIDATE_SECRET = process.env.REVALIDATE_SECRET || "dev-secret";
-const UPLOAD_TO_REDIS = !!process.env.KV_REST_API_URL;
+// Sync to Redis whenever its credentials are configured, unless another backend is chosen
+const STORAGE_BACKEND =
+  process.env.CONTENT_BACKEND || (process.env.KV_REST_API_URL ? "redis" : null);
+
+// Dynamic import for the storage backends (ESM module)
+let storage = null;
+const storageImportPromise = STORAGE_BACKEND
+  ? import("./storage-backends.mjs")
+      .then(({ createBackend }) => createBackend(STORAGE_BACKEND))
+      .then((backend) => {
+        storage = backend;
+        console.log(`✅ ${storage.label} storage ready`);
+      })
+      .catch((error) => {
+        console.error(`❌ Storage backend unavailable: ${error.message}`);
+      })
+  : Promise.resolve();
 
 // Auto-detect git branch
-const { execSync } = require("child_process");
+const { execSync, execFileSync } = require("child_process");
 let CURRENT_BRANCH = "main";
 try {
   CURRENT_BRANCH = execSync("git rev-parse --abbrev-ref HEAD", {
@@ -33,17 +49,17 @@ try {
   console.warn("⚠️  Could not detect git branch, defaulting to 'main'");
 }
 
-// Wait for Redis SDK to load before starting
-redisImportPromise.then(() => {
+// Wait for the storage backend to load before starting
+storageImportPromise.then(() => {
   console.log("👀 Watching for content changes...");
   console.log(`   Target: ${NEXT_APP_URL}`);
-  console.log(`   Redis sync: ${UPLOAD_TO_REDIS ? "enabled" : "disabled"}`);
+  console.log(`   Content sync: ${storage ? storage.label : "disabled"}`);
   console.log(`   Branch: ${CURRENT_BRANCH}`);
   console.log("");
 
-// Watch all MDX files, docs.yml, and spec YAML files
+// Watch all MDX files, docs.yml, redirects.yml, and spec YAML files
 const watcher = chokidar.watch(
-  ["**/*.mdx", "docs.yml", "**/*.json", "alchemy/specs/**/*.yaml"],
+  ["**/*.mdx", "docs.yml", "redirects.yml", "**/*.json", "alchemy/specs/**/*.yaml"],
   {
     ignored: [
       /(^|[\/\\])\../, // ignore dotfiles
@@ -55,106 +71,443 @@ const watcher = chokidar.watch(
   }
 );
 
-// Debounce revalidation calls
+// Debounce revalidation calls: every path touched within the window is handled as one batch
 let revalidateTimeout = null;
 const DEBOUNCE_MS = 500;
+const pendingChanges = new Map(); // path -> last watcher event
+let batchQueue = Promise.resolve();
 
-async function uploadToRedis(filePath) {
-  if (!UPLOAD_TO_REDIS) {
-    return;
-  }
-
-  // Ensure Redis SDK is loaded
-  await redisImportPromise;
-
-  if (!redis) {
-    console.error(`❌ Redis SDK not initialized`);
+/**
+ * Push a batch of uploads and deletions to the storage backend in one write
+ * @param {object} batch
+ * @param {string[]} batch.uploads - Files to upload
+ * @param {string[]} batch.deletes - Files that should be removed
+ * @param {string[]} batch.deletedDirs - Directories whose files should all be removed
+ * @param {Array<{file: string, content: Buffer}>} batch.generated - Files built in memory, e.g. the search index
+ */
+async function syncToStorage({ uploads = [], deletes = [], deletedDirs = [], generated = [] }) {
+  if (!storage) {
     return;
   }
 
   try {
-    const fullPath = path.join(process.cwd(), filePath);
-    if (!fs.existsSync(fullPath)) {
+    const present = uploads.filter((filePath) => {
+      if (fs.existsSync(path.join(process.cwd(), filePath))) {
+        return true;
+      }
       console.log(`⚠️  File deleted, skipping upload: ${filePath}`);
+      return false;
+    });
+
+    // Readers of a released branch go through its pointer and would never see
+    // an in-place write, so the batch becomes a new release instead
+    const releases = await import("./releases.mjs");
+    if (await storage.get(CURRENT_BRANCH, releases.RELEASE_POINTER_FILE)) {
+      console.log(`📦 ${CURRENT_BRANCH} is published as releases, publishing this batch as a new one`);
+      const { errors } = await releases.publishChanges(storage, CURRENT_BRANCH, {
+        uploads: present,
+        deletes,
+        deletedDirs,
+      });
+      errors.forEach(({ file, error }) => console.error(`❌ ${file}: ${error}`));
       return;
     }
 
-    const content = fs.readFileSync(fullPath, 'utf-8');
-    const key = `content:${CURRENT_BRANCH}:${filePath}`;
+    const files = [];
+    for (const filePath of present) {
+      const fullPath = path.join(process.cwd(), filePath);
+
+      const content = fs.readFileSync(fullPath);
+      console.log(`☁️  Uploading: ${storage.keyFor(CURRENT_BRANCH, filePath)} (${content.length} bytes)`);
+      files.push({ file: filePath, content });
+    }
+
+    const removed = new Set(deletes);
+
+    // Every file published under a removed directory
+    for (const dir of deletedDirs) {
+      (await storage.list(CURRENT_BRANCH, `${dir}/`)).forEach((file) => removed.add(file));
+    }
+
+    removed.forEach((file) => {
+      console.log(`🗑️  Removing: ${storage.keyFor(CURRENT_BRANCH, file)}`);
+    });
 
-    console.log(`☁️  Uploading to Redis: ${key} (${content.length} bytes)`);
+    const operations = files.length + removed.size;
+    if (operations === 0) {
+      return;
+    }
 
-    await redis.set(key, content);
+    await storage.batch(CURRENT_BRANCH, {
+      uploads: [...files, ...generated, storage.branchInfo("watch")],
+      deletes: [...removed],
+    });
 
-    console.log(`✅ Redis updated: ${key}`);
+    console.log(`✅ ${storage.label} updated (${operations} operation${operations === 1 ? "" : "s"})`);
   } catch (error) {
-    console.error(`❌ Redis upload failed: ${error.message}`);
+    console.error(`❌ Storage sync failed: ${error.message}`);
     console.error(`   Stack: ${error.stack}`);
   }
 }
 
-async function triggerRevalidation(changedPath) {
+// Built from disk on the first batch that needs it, then updated per batch
+let searchIndex = null;
+// Changed files held back from publishing, kept out of search until a later batch uploads them
+const heldBack = new Set();
+
+/**
+ * The search index file to publish with a batch, or null if nothing indexed changed
+ * @param {string[]} paths - Uploaded and removed files; directories end with "/"
+ */
+function searchIndexUpdate(paths) {
+  try {
+    if (!searchIndex) {
+      searchIndex = buildSearchIndex({ exclude: heldBack });
+    }
+    if (!updateSearchIndex(searchIndex, paths, { exclude: heldBack })) {
+      return null;
+    }
+    console.log(`🔎 Updating search index (${searchIndex.docs.size} entries)`);
+    return { file: SEARCH_INDEX_FILE, content: serializeSearchIndex(searchIndex) };
+  } catch (error) {
+    console.error(`❌ Search index update failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Generated output path for a top-level spec source, or null for shared components
+ */
+function generatedOutputFor(specPath) {
+  const fileName = path.basename(specPath);
+  if (fileName.startsWith("_") || specPath.includes("_components")) {
+    return null;
+  }
+  const outputPath = path.join(OUTPUT_DIR, `${path.basename(fileName, path.extname(fileName))}.json`);
+  return path.relative(process.cwd(), outputPath);
+}
+
+// Move detection: a page that disappears and one that appears within a short
+// window with similar content is treated as a rename
+const MOVE_WINDOW_MS = 2000;
+const knownContent = new Map(); // path -> last content seen by the watcher
+const recentlyDeleted = new Map(); // path -> { content, at }
+const recentlyAdded = new Map(); // path -> { content, at }
+
+function isPage(filePath) {
+  return filePath.endsWith(".mdx");
+}
+
+function previousContent(filePath) {
+  if (knownContent.has(filePath)) {
+    return knownContent.get(filePath);
+  }
+  try {
+    return execFileSync("git", ["show", `HEAD:${filePath.split(path.sep).join("/")}`], {
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+function recentEntries(entries) {
+  const now = Date.now();
+  for (const [filePath, { at }] of entries) {
+    if (now - at > MOVE_WINDOW_MS) {
+      entries.delete(filePath);
+    }
+  }
+  return new Map([...entries].map(([filePath, { content }]) => [filePath, content]));
+}
+
+function recordMove(from, to) {
+  try {
+    const { redirect, navUpdates } = applyMove(from, to);
+    console.log(`🔀 Detected move: ${from} → ${to}`);
+    if (redirect) {
+      console.log(`   Added redirect ${redirect.from} → ${redirect.to}`);
+    }
+    if (navUpdates > 0) {
+      console.log(`   Updated ${navUpdates} docs.yml path(s)`);
+    }
+  } catch (error) {
+    console.error(`❌ Could not record move ${from} → ${to}: ${error.message}`);
+  }
+}
+
+function handlePageAdded(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(process.cwd(), filePath), "utf-8");
+  } catch (error) {
+    return;
+  }
+  knownContent.set(filePath, content);
+
+  const match = findMoveSource(content, recentEntries(recentlyDeleted));
+  if (match) {
+    recentlyDeleted.delete(match.from);
+    recordMove(match.from, filePath);
+  } else {
+    recentlyAdded.set(filePath, { content, at: Date.now() });
+  }
+}
+
+function handlePageDeleted(filePath) {
+  const content = previousContent(filePath);
+  knownContent.delete(filePath);
+  if (content === null) {
+    return;
+  }
+
+  // Some tools create the new file before removing the old one
+  const candidates = recentEntries(recentlyAdded);
+  for (const [addedPath, addedContent] of candidates) {
+    if (findMoveSource(addedContent, new Map([[filePath, content]]))) {
+      recentlyAdded.delete(addedPath);
+      recordMove(filePath, addedPath);
+      return;
+    }
+  }
+
+  recentlyDeleted.set(filePath, { content, at: Date.now() });
+}
+
+function triggerRevalidation(changedPath, event = "change") {
+  pendingChanges.set(changedPath, event);
   clearTimeout(revalidateTimeout);
 
-  revalidateTimeout = setTimeout(async () => {
-    console.log(`📝 Changed: ${changedPath}`);
+  revalidateTimeout = setTimeout(() => {
+    const batch = new Map(pendingChanges);
+    pendingChanges.clear();
+    // Batches run one at a time so a slow regeneration can't interleave with the next
+    // and a failed batch is reported without stalling the ones after it
+    batchQueue = batchQueue
+      .then(() => processBatch(batch))
+      .catch((error) => console.error("❌ Batch failed:", error.message));
+  }, DEBOUNCE_MS);
+}
 
-    // Check if it's a spec file
-    const isSpecFile =
-      changedPath.includes("alchemy/specs/") &&
-      (changedPath.endsWith(".yaml") || changedPath.endsWith(".yml"));
+function isSpecSource(filePath) {
+  return (
+    filePath.includes("alchemy/specs/") &&
+    (filePath.endsWith(".yaml") || filePath.endsWith(".yml"))
+  );
+}
 
-    if (isSpecFile) {
-      console.log(`🔧 Spec file changed, regenerating...`);
-      try {
-        // Pass the specific file for incremental processing
-        await generateSpecs(changedPath);
-      } catch (error) {
-        console.error(`❌ Spec generation failed:`, error.message);
-        console.log("");
-        return; // Don't trigger revalidation if spec generation failed
+/**
+ * Report broken links introduced by a batch. Edited pages are checked on
+ * their own; nav, redirect and deleted-page changes can break links
+ * anywhere, so those re-check every page. Report only, never blocks uploads.
+ */
+function checkBatchLinks(changed, removed) {
+  const isSiteWide = (p) => p === "docs.yml" || p === "redirects.yml";
+  const everywhere =
+    changed.some(isSiteWide) || removed.some((p) => isPage(p) || !path.extname(p));
+  const pages = changed.filter(isPage);
+
+  if (!everywhere && pages.length === 0) {
+    return;
+  }
+
+  try {
+    const result = checkLinks({ files: everywhere ? undefined : pages });
+    if (everywhere) {
+      // Placeholders elsewhere aren't news, only report what is broken
+      if (result.errors.length > 0) {
+        printLinkResults({ ...result, placeholders: [] });
       }
+    } else {
+      printLinkResults(result);
+    }
+  } catch (error) {
+    console.error(`❌ Link check failed:`, error.message);
+  }
+}
+
+/**
+ * Regenerate, upload and revalidate everything touched in one debounce window
+ * @param {Map<string, string>} batch - path -> watcher event
+ */
+async function processBatch(batch) {
+  const changed = [];
+  const deleted = [];
+  const deletedDirs = [];
+
+  for (const [filePath, event] of batch) {
+    if (event === "unlinkDir") {
+      deletedDirs.push(filePath);
+      console.log(`🗑️  Deleted: ${filePath}/`);
+    } else if (event === "unlink") {
+      deleted.push(filePath);
+      console.log(`🗑️  Deleted: ${filePath}`);
+    } else {
+      changed.push(filePath);
+      console.log(`📝 Changed: ${filePath}`);
     }
+  }
 
-    // Upload to Redis if enabled
-    await uploadToRedis(changedPath);
+  // Paths whose published copies must be removed
+  const removedPaths = [...deleted];
+  // Generated specs rebuilt from these changes, published alongside them
+  const generatedPaths = new Set();
+  // Spec sources that failed lint or generation, and pages that fail to compile, are held back
+  const rejected = new Set();
 
-    console.log(`🔄 Triggering revalidation...`);
+  for (const specPath of deleted.filter(isSpecSource)) {
+    const generatedPath = generatedOutputFor(specPath);
+    if (generatedPath) {
+      // The spec is gone, so is its generated output
+      if (fs.existsSync(generatedPath)) {
+        fs.unlinkSync(generatedPath);
+      }
+      removedPaths.push(generatedPath);
+    } else {
+      // Report the specs this shared component breaks
+      await generateSpecs(specPath).catch((error) => {
+        console.error(`❌ Spec generation failed:`, error.message);
+      });
+    }
+  }
 
+  for (const specPath of changed.filter(isSpecSource)) {
+    console.log(`🔍 Spec file changed, linting ${specPath}...`);
     try {
-      const response = await fetch(`${NEXT_APP_URL}/api/revalidate`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${REVALIDATE_SECRET}`,
-        },
-        body: JSON.stringify({
-          filePath: changedPath,
-          branch: CURRENT_BRANCH,
-        }),
-      });
+      const lintResult = lintSpecs(specPath);
+      printLintResults(lintResult);
+      if (lintResult.errorCount > 0) {
+        console.error(`❌ Spec lint failed, skipping regeneration of ${specPath}`);
+        rejected.add(specPath);
+        continue;
+      }
+    } catch (error) {
+      console.error(`❌ Spec lint failed:`, error.message);
+      rejected.add(specPath);
+      continue;
+    }
 
-      if (response.ok) {
-        const data = await response.json();
-        console.log(`✅ ${data.message}`);
-      } else {
-        const error = await response.json();
-        console.error(`❌ Revalidation failed: ${error.error}`);
+    console.log(`🔧 Regenerating...`);
+    try {
+      // Pass the specific file for incremental processing; the build cache
+      // skips specs already rebuilt for an earlier path in this batch
+      const { results, failed } = await generateSpecs(specPath);
+      if (failed.length > 0) {
+        console.error(`❌ Invalid spec, skipping upload of ${specPath}`);
+        rejected.add(specPath);
+        continue;
       }
+      results.forEach((result) => {
+        generatedPaths.add(
+          path.relative(process.cwd(), path.join(OUTPUT_DIR, `${result.fileName}.json`))
+        );
+      });
     } catch (error) {
-      console.error(`❌ Failed to reach dev server:`, error.message);
-      console.error(
-        `   Make sure the Next.js dev server is running at ${NEXT_APP_URL}`
-      );
+      console.error(`❌ Spec generation failed:`, error.message);
+      rejected.add(specPath);
     }
+  }
+
+  // Pages that don't compile would break on render; keep their last good version live
+  const changedPages = changed.filter(isPage);
+  if (changedPages.length > 0) {
+    const { checkMdx, printMdxErrors } = await import("./compile-mdx.mjs");
+    const { failed } = await checkMdx(changedPages);
+    if (failed.size > 0) {
+      printMdxErrors(failed);
+      console.error(`❌ MDX compile failed, skipping upload and revalidation of ${failed.size} file(s)`);
+      failed.forEach((_, filePath) => rejected.add(filePath));
+    }
+  }
+
+  let uploads = [...changed.filter((p) => !rejected.has(p)), ...generatedPaths];
+
+  // Never push content while docs.yml points at missing or duplicate pages.
+  // Removing stale copies is always safe, so deletions still go through.
+  const docsValidation = validateDocs();
+  if (uploads.length > 0 && docsValidation.errors.length > 0) {
+    printDocsValidation(docsValidation);
+    console.error(`❌ docs.yml is invalid, skipping upload and revalidation of changed files`);
+    uploads = [];
+  }
+
+  checkBatchLinks(changed, [...deleted, ...deletedDirs]);
+
+  changed.filter((p) => !uploads.includes(p)).forEach((p) => heldBack.add(p));
+  [...uploads, ...removedPaths].forEach((p) => heldBack.delete(p));
+
+  if (uploads.length === 0 && removedPaths.length === 0 && deletedDirs.length === 0) {
     console.log("");
-  }, DEBOUNCE_MS);
+    return;
+  }
+
+  // Upload to the storage backend if enabled
+  const searchUpdate = storage
+    ? searchIndexUpdate([...uploads, ...removedPaths, ...deletedDirs.map((dir) => `${dir}/`)])
+    : null;
+  await syncToStorage({
+    uploads,
+    deletes: removedPaths,
+    deletedDirs,
+    generated: searchUpdate ? [searchUpdate] : [],
+  });
+
+  let consumers = [];
+  try {
+    consumers = findSpecConsumers([...generatedPaths, ...removedPaths]);
+  } catch (error) {
+    console.warn(`⚠️  Could not read docs.yml: ${error.message}`);
+  }
+  if (consumers.length > 0) {
+    console.log(`📚 API reference affected: ${consumers.map((consumer) => consumer.api).join(", ")}`);
+  }
+
+  console.log(`🔄 Triggering revalidation...`);
+
+  try {
+    const data = await requestRevalidation(
+      {
+        branch: CURRENT_BRANCH,
+        // Everything uploaded in this batch, including regenerated specs
+        filePaths: uploads,
+        // Lets the site drop removed pages instead of re-rendering them
+        removedPaths: [...removedPaths, ...deletedDirs.map((dir) => `${dir}/`)],
+        // Pages rendered from regenerated specs, which no uploaded file maps to
+        paths: [...new Set(consumers.flatMap((consumer) => consumer.routes))],
+      },
+      { url: NEXT_APP_URL, secret: REVALIDATE_SECRET }
+    );
+    console.log(`✅ ${data.message}`);
+  } catch (error) {
+    console.error(`❌ Revalidation failed:`, error.message);
+    console.error(
+      `   Make sure the Next.js dev server is running at ${NEXT_APP_URL}`
+    );
+  }
+  console.log("");
 }
 
   watcher
-    .on("add", (path) => triggerRevalidation(path))
-    .on("change", (path) => triggerRevalidation(path))
-    .on("unlink", (path) => triggerRevalidation(path))
+    .on("add", (path) => {
+      if (isPage(path)) {
+        handlePageAdded(path);
+      }
+      triggerRevalidation(path, "add");
+    })
+    .on("change", (path) => {
+      if (isPage(path) && fs.existsSync(path)) {
+        knownContent.set(path, fs.readFileSync(path, "utf-8"));
+      }
+      triggerRevalidation(path, "change");
+    })
+    .on("unlink", (path) => {
+      if (isPage(path)) {
+        handlePageDeleted(path);
+      }
+      triggerRevalidation(path, "unlink");
+    })
+    .on("unlinkDir", (path) => triggerRevalidation(path, "unlinkDir"))
     .on("error", (error) => console.error(`Watcher error: ${error}`));
 
   // Handle graceful shutdown